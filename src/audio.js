@@ -0,0 +1,121 @@
+import Guacamole from 'guacamole-common-js';
+
+/**
+ * Remote audio playback and microphone forwarding.
+ *
+ * Guacamole.RawAudioPlayer connects every decoded packet straight to the
+ * destination of the shared Web Audio context. To get a master volume
+ * and mute control without reimplementing the player, the context's
+ * destination is shadowed by a GainNode that feeds the real output.
+ */
+
+var MICROPHONE_MIMETYPE = 'audio/L16;rate=44100,channels=2';
+
+var _gainNode = null;
+var _volume = 1;
+var _muted = false;
+
+/**
+ * Return the shared audio context with the master gain node installed,
+ * or null if the browser has no Web Audio support.
+ *
+ * @returns {AudioContext|null}
+ */
+function getAudioContext() {
+    var context = Guacamole.AudioContextFactory.getAudioContext();
+    if (!context || _gainNode) {
+        return context;
+    }
+
+    _gainNode = context.createGain();
+    _gainNode.connect(context.destination);
+    Object.defineProperty(context, 'destination', { value: _gainNode });
+    applyGain();
+
+    return context;
+}
+
+function applyGain() {
+    if (_gainNode) {
+        _gainNode.gain.value = _muted ? 0 : _volume;
+    }
+}
+
+/**
+ * Prepare audio output. Browsers only allow an audio context to start
+ * in response to user input, so call this from a click handler.
+ */
+export function prepareAudio() {
+    var context = getAudioContext();
+    if (context && context.state === 'suspended') {
+        context.resume();
+    }
+}
+
+/**
+ * Handler for Guacamole.Client.onaudio.
+ *
+ * @param {Guacamole.InputStream} stream
+ * @param {string} mimetype
+ * @returns {Guacamole.AudioPlayer|null}
+ */
+export function createAudioPlayer(stream, mimetype) {
+    getAudioContext();
+    return Guacamole.AudioPlayer.getInstance(stream, mimetype);
+}
+
+/**
+ * Set the playback volume.
+ *
+ * @param {number} volume - Between 0 and 1
+ */
+export function setVolume(volume) {
+    _volume = Math.max(0, Math.min(1, volume));
+    applyGain();
+}
+
+/**
+ * Mute or unmute playback without losing the volume setting.
+ *
+ * @param {boolean} muted
+ */
+export function setMuted(muted) {
+    _muted = muted;
+    applyGain();
+}
+
+/**
+ * @returns {boolean} Whether playback is muted
+ */
+export function isMuted() {
+    return _muted;
+}
+
+/**
+ * Start forwarding the browser microphone to the remote session. The
+ * browser asks for permission once guacd accepts the stream.
+ *
+ * @param {Guacamole.Client} client
+ * @param {function} [onstop] - Called when forwarding ends or is denied
+ * @returns {Guacamole.AudioRecorder|null} null if recording is unsupported
+ */
+export function startMicrophone(client, onstop) {
+    if (!Guacamole.AudioRecorder.isSupportedType(MICROPHONE_MIMETYPE)) {
+        return null;
+    }
+
+    var stream = client.createAudioStream(MICROPHONE_MIMETYPE);
+    var recorder = Guacamole.AudioRecorder.getInstance(stream, MICROPHONE_MIMETYPE);
+    if (!recorder) {
+        stream.sendEnd();
+        return null;
+    }
+
+    recorder.onclose = recorder.onerror = function() {
+        if (onstop) {
+            onstop();
+        }
+    };
+
+    return recorder;
+}
@@ -0,0 +1,193 @@
+import Guacamole from 'guacamole-common-js';
+
+/**
+ * Clipboard exchange between the browser and the remote session.
+ *
+ * Clipboard contents are passed around as entries of the form
+ * { mimetype, data }, where data is a string for text/* mimetypes and
+ * a Blob for anything else (e.g. image/png).
+ *
+ * The async Clipboard API only works while the page has focus and the
+ * user has granted permission, so every browser-side operation here may
+ * reject; callers fall back to the clipboard panel in that case.
+ */
+
+// How long a clipboard stream may receive nothing before it is dropped
+// (milliseconds)
+var CLIPBOARD_TIMEOUT = 30000;
+
+/**
+ * @param {string} mimetype
+ * @returns {boolean} Whether the mimetype is carried as a string
+ */
+function isText(mimetype) {
+    return mimetype.indexOf('text/') === 0;
+}
+
+/**
+ * Check whether two clipboard entries hold the same content. Blobs are
+ * compared by type and size only.
+ *
+ * @param {object|null} a
+ * @param {object|null} b
+ * @returns {boolean}
+ */
+export function sameEntry(a, b) {
+    if (!a || !b || a.mimetype !== b.mimetype) {
+        return false;
+    }
+    if (isText(a.mimetype)) {
+        return a.data === b.data;
+    }
+    return a.data.size === b.data.size;
+}
+
+/**
+ * Read a clipboard stream received through client.onclipboard. guacd
+ * gives the stream no error status, so one that receives nothing for
+ * CLIPBOARD_TIMEOUT is taken as aborted.
+ *
+ * @param {Guacamole.InputStream} stream
+ * @param {string} mimetype
+ * @returns {Promise<object>} The clipboard entry; rejects if the stream
+ *     stalls
+ */
+export function readClipboardStream(stream, mimetype) {
+    return new Promise(function(resolve, reject) {
+        var timeoutId = null;
+        var stalled = false;
+
+        function wait() {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(function() {
+                stalled = true;
+                stream.sendAck('Timed out', Guacamole.Status.Code.CLIENT_TIMEOUT);
+                reject(new Error('The remote clipboard stopped arriving'));
+            }, CLIPBOARD_TIMEOUT);
+        }
+
+        function finish(entry) {
+            clearTimeout(timeoutId);
+            if (!stalled)
+                resolve(entry);
+        }
+
+        wait();
+
+        if (isText(mimetype)) {
+            var text = '';
+            var stringReader = new Guacamole.StringReader(stream);
+            stringReader.ontext = function(chunk) {
+                wait();
+                text += chunk;
+            };
+            stringReader.onend = function() {
+                finish({ mimetype: mimetype, data: text });
+            };
+        } else {
+            var blobReader = new Guacamole.BlobReader(stream, mimetype);
+            blobReader.onprogress = wait;
+            blobReader.onend = function() {
+                finish({ mimetype: mimetype, data: blobReader.getBlob() });
+            };
+            stream.sendAck('Ready', Guacamole.Status.Code.SUCCESS);
+        }
+    });
+}
+
+/**
+ * Set the remote clipboard.
+ *
+ * @param {Guacamole.Client} client
+ * @param {object} entry
+ */
+export function sendClipboardEntry(client, entry) {
+    var stream = client.createClipboardStream(entry.mimetype);
+
+    if (isText(entry.mimetype)) {
+        var stringWriter = new Guacamole.StringWriter(stream);
+        stringWriter.sendText(entry.data);
+        stringWriter.sendEnd();
+    } else {
+        var blobWriter = new Guacamole.BlobWriter(stream);
+        blobWriter.oncomplete = function() {
+            blobWriter.sendEnd();
+        };
+        blobWriter.sendBlob(entry.data);
+    }
+}
+
+/**
+ * Read the browser clipboard, preferring images over text.
+ *
+ * @returns {Promise<object|null>} The clipboard entry, or null if empty
+ */
+export function readLocalClipboard() {
+    if (!navigator.clipboard) {
+        return Promise.reject(new Error('Clipboard API unavailable'));
+    }
+
+    var readText = function() {
+        return navigator.clipboard.readText().then(function(text) {
+            return text ? { mimetype: 'text/plain', data: text } : null;
+        });
+    };
+
+    if (!navigator.clipboard.read) {
+        return readText();
+    }
+
+    return navigator.clipboard.read().then(function(items) {
+        for (var i = 0; i < items.length; i++) {
+            var imageType = items[i].types.find(function(type) {
+                return type.indexOf('image/') === 0;
+            });
+            if (imageType) {
+                return items[i].getType(imageType).then(function(blob) {
+                    return { mimetype: imageType, data: blob };
+                });
+            }
+        }
+        return readText();
+    });
+}
+
+/**
+ * Write an entry to the browser clipboard.
+ *
+ * @param {object} entry
+ * @returns {Promise}
+ */
+export function writeLocalClipboard(entry) {
+    if (!navigator.clipboard) {
+        return Promise.reject(new Error('Clipboard API unavailable'));
+    }
+
+    if (isText(entry.mimetype)) {
+        return navigator.clipboard.writeText(entry.data);
+    }
+
+    var item = {};
+    item[entry.mimetype] = entry.data;
+    return navigator.clipboard.write([new ClipboardItem(item)]);
+}
+
+/**
+ * Convert a blob to a data: URL, which the plugin's content security
+ * policy allows for images (blob: URLs are not).
+ *
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataURL(blob) {
+    return new Promise(function(resolve, reject) {
+        var reader = new FileReader();
+        reader.onload = function() {
+            resolve(reader.result);
+        };
+        reader.onerror = function() {
+            reject(reader.error);
+        };
+        reader.readAsDataURL(blob);
+    });
+}
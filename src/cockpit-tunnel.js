@@ -6,7 +6,8 @@ import Guacamole from 'guacamole-common-js';
  * need for guacamole-lite or any other WebSocket proxy middleware.
  *
  * The tunnel handles the guacd protocol handshake internally:
- *   1. Sends "select" with the protocol type (rdp)
+ *   1. Sends "select" with the protocol type (rdp, vnc or ssh), or with
+ *      the ID of a running connection to join it
  *   2. Receives "args" listing expected parameter names
  *   3. Sends "size", "audio", "video", "image", "connect"
  *   4. Receives "ready" with a connection ID
@@ -67,6 +68,32 @@ export function CockpitTunnel() {
      */
     var unstableTimeoutId = null;
 
+    /**
+     * Total bytes of protocol data, UTF-8 encoded, sent to and received
+     * from guacd.
+     * @private
+     * @type {number}
+     */
+    var bytesSent = 0;
+    var bytesReceived = 0;
+
+    /**
+     * The "sync" instructions from guacd the client has yet to answer,
+     * oldest first, as { timestamp, time }: guacd's timestamp and when
+     * the instruction arrived.
+     * @private
+     * @type {!object[]}
+     */
+    var pendingSyncs = [];
+
+    /**
+     * Smoothed round-trip time in milliseconds, or null before the first
+     * sample.
+     * @private
+     * @type {?number}
+     */
+    var roundTripTime = null;
+
     /**
      * Set connection settings before calling connect().
      * These are used during the guacd handshake to populate
@@ -74,7 +101,9 @@ export function CockpitTunnel() {
      *
      * @param {!object} settings
      *     Connection settings object with properties like hostname,
-     *     port, username, password, etc.
+     *     port, username, password, etc. guacdHost, guacdPort,
+     *     guacdTls and guacdCaFile say where guacd is reached; the
+     *     local guacd on port 4822 without TLS if not set.
      */
     this.setConnectionSettings = function setConnectionSettings(settings) {
         connectionSettings = settings;
@@ -111,10 +140,39 @@ export function CockpitTunnel() {
      */
     function sendRaw(data) {
         if (channel && channel.valid) {
+            bytesSent += utf8Length(data);
             channel.send(data);
         }
     }
 
+    /**
+     * Records a round-trip sample when the client answers a "sync" from
+     * guacd, measured from the arrival of that "sync" to the answer
+     * carrying its timestamp. guacd holds back further frames until
+     * answers arrive, so this is the part of its frame round trip spent
+     * on this side. Samples are smoothed the same way TCP smooths its
+     * RTT estimate.
+     *
+     * @private
+     * @param {string} timestamp - The timestamp the client answered with
+     */
+    function sampleRoundTrip(timestamp) {
+
+        // The client answers only the latest of several syncs drawn at
+        // once; older ones stay unanswered
+        while (pendingSyncs.length && pendingSyncs[0].timestamp !== timestamp)
+            pendingSyncs.shift();
+
+        var sync = pendingSyncs.shift();
+        if (!sync)
+            return;
+
+        var sample = Date.now() - sync.time;
+        roundTripTime = roundTripTime === null
+            ? sample
+            : roundTripTime * 0.875 + sample * 0.125;
+    }
+
     /**
      * Resets the receive timeout and unstable connection timers.
      * Called whenever data is received from guacd.
@@ -224,11 +282,24 @@ export function CockpitTunnel() {
             // guacd sends "error" if something went wrong
             else if (opcode === 'error') {
                 var code = parseInt(params[1]) || Guacamole.Status.Code.SERVER_ERROR;
-                closeTunnel(new Guacamole.Status(code, params[0] || 'Handshake error'));
+                closeTunnel(new Guacamole.Status(code,
+                    describeUpstreamError(code, params[0] || 'Handshake error', connectionSettings)));
             }
 
         } else {
 
+            // Name the unreachable host in upstream errors before the
+            // client reports them
+            if (opcode === 'error' && params.length >= 2) {
+                params = [
+                    describeUpstreamError(parseInt(params[1]), params[0], connectionSettings),
+                    params[1]
+                ];
+            }
+
+            if (opcode === 'sync')
+                pendingSyncs.push({ timestamp: String(parseInt(params[0])), time: Date.now() });
+
             // Post-handshake: forward to Guacamole.Client
             if (tunnel.oninstruction)
                 tunnel.oninstruction(opcode, params);
@@ -256,8 +327,9 @@ export function CockpitTunnel() {
         // Send size
         sendRaw(formatInstruction('size', String(width), String(height), String(dpi)));
 
-        // Send supported audio mimetypes (none for now)
-        sendRaw(formatInstruction('audio'));
+        // Send supported audio mimetypes, unless audio is disabled
+        var audioMimetypes = settings.disableAudio ? [] : supportedAudioMimetypes();
+        sendRaw(formatInstruction.apply(null, ['audio'].concat(audioMimetypes)));
 
         // Send supported video mimetypes (none)
         sendRaw(formatInstruction('video'));
@@ -268,83 +340,9 @@ export function CockpitTunnel() {
         // Build connect instruction args matching server's expected order.
         // Each value corresponds to the parameter name at the same index
         // in serverArgNames. Unknown parameters get empty string (safe default).
-        var paramMap = {
-            'hostname':                     settings.hostname || 'localhost',
-            'port':                         String(settings.port || 3389),
-            'domain':                        settings.domain || '',
-            'username':                      settings.username || '',
-            'password':                      settings.password || '',
-            'width':                         String(width),
-            'height':                        String(height),
-            'dpi':                           String(dpi),
-            'initial-program':               '',
-            'color-depth':                   settings.colorDepth || '',
-            'disable-audio':                 '',
-            'enable-printing':               '',
-            'printer-name':                  '',
-            'enable-drive':                  '',
-            'drive-name':                    '',
-            'drive-path':                    '',
-            'create-drive-path':             '',
-            'disable-download':              '',
-            'disable-upload':                '',
-            'console':                       '',
-            'console-audio':                 '',
-            'server-layout':                 '',
-            'security':                      settings.security || 'any',
-            'ignore-cert':                   settings.ignoreCert !== false ? 'true' : '',
-            'disable-auth':                  '',
-            'remote-app':                    '',
-            'remote-app-dir':                '',
-            'remote-app-args':               '',
-            'static-channels':               '',
-            'client-name':                   'cockpit-guacamole',
-            'enable-wallpaper':              '',
-            'enable-theming':                '',
-            'enable-font-smoothing':         settings.enableFontSmoothing !== false ? 'true' : '',
-            'enable-full-window-drag':       '',
-            'enable-desktop-composition':    '',
-            'enable-menu-animations':        '',
-            'disable-bitmap-caching':        '',
-            'disable-offscreen-caching':     '',
-            'disable-glyph-caching':         '',
-            'preconnection-id':              '',
-            'preconnection-blob':            '',
-            'timezone':                      '',
-            'enable-sftp':                   '',
-            'sftp-hostname':                 '',
-            'sftp-host-key':                 '',
-            'sftp-port':                     '',
-            'sftp-username':                 '',
-            'sftp-password':                 '',
-            'sftp-private-key':              '',
-            'sftp-passphrase':               '',
-            'sftp-directory':                '',
-            'sftp-root-directory':           '',
-            'sftp-server-alive-interval':    '',
-            'recording-path':               '',
-            'recording-name':               '',
-            'recording-exclude-output':      '',
-            'recording-exclude-mouse':       '',
-            'recording-exclude-touch':       '',
-            'recording-include-keys':        '',
-            'create-recording-path':         '',
-            'resize-method':                 settings.resizeMethod || 'display-update',
-            'enable-audio-input':            '',
-            'enable-touch':                  '',
-            'read-only':                     '',
-            'gateway-hostname':              '',
-            'gateway-port':                  '',
-            'gateway-domain':               '',
-            'gateway-username':              '',
-            'gateway-password':              '',
-            'load-balance-info':             '',
-            'disable-copy':                  '',
-            'disable-paste':                 '',
-            'force-lossless':                '',
-            'normalize-clipboard':           '',
-            'timeout':                       '',
-        };
+        var buildParams = settings.join ? joinParams
+            : PROTOCOL_PARAMS[settings.protocol || 'rdp'] || rdpParams;
+        var paramMap = buildParams(settings, width, height, dpi);
 
         var connectArgs = serverArgNames.map(function(argName) {
             // Handle protocol version negotiation (VERSION_x_x_x)
@@ -366,6 +364,7 @@ export function CockpitTunnel() {
     this.connect = function connect(data) {
 
         handshakeComplete = false;
+        pendingSyncs = [];
         tunnel.setState(Guacamole.Tunnel.State.CONNECTING);
 
         // Create parser for incoming guacd data
@@ -373,13 +372,10 @@ export function CockpitTunnel() {
         parser.oninstruction = processInstruction;
 
         // Open a raw TCP stream to guacd via cockpit-bridge
-        channel = cockpit.channel({
-            payload: 'stream',
-            port: connectionSettings.guacdPort || 4822,
-            binary: false
-        });
+        channel = cockpit.channel(guacdChannelOptions(connectionSettings));
 
         channel.addEventListener('message', function(event, data) {
+            bytesReceived += utf8Length(data);
             if (handshakeComplete)
                 resetTimers();
             parser.receive(data);
@@ -388,19 +384,20 @@ export function CockpitTunnel() {
         channel.addEventListener('close', function(event, options) {
             var problem = options.problem || options.reason;
             if (problem && tunnel.state !== Guacamole.Tunnel.State.CLOSED) {
-                closeTunnel(new Guacamole.Status(
-                    Guacamole.Status.Code.SERVER_ERROR,
-                    'Connection closed: ' + problem
-                ));
+                var message = handshakeComplete
+                    ? 'Connection closed: ' + problem
+                    : 'Unable to reach guacd at ' + guacdAddress(connectionSettings) + ': ' + problem;
+                closeTunnel(new Guacamole.Status(Guacamole.Status.Code.SERVER_ERROR, message));
             } else {
                 closeTunnel(new Guacamole.Status(Guacamole.Status.Code.SUCCESS));
             }
         });
 
-        // Send the initial "select" instruction to choose the RDP protocol.
-        // cockpit.channel queues messages if the underlying connection
-        // isn't ready yet, so this is safe to send immediately.
-        sendRaw(formatInstruction('select', connectionSettings.protocol || 'rdp'));
+        // Send the initial "select" instruction to choose the protocol,
+        // or the connection to join. cockpit.channel queues messages if
+        // the underlying connection isn't ready yet, so this is safe to
+        // send immediately.
+        sendRaw(formatInstruction('select', connectionSettings.join || connectionSettings.protocol || 'rdp'));
     };
 
     /**
@@ -420,9 +417,27 @@ export function CockpitTunnel() {
         if (arguments.length === 0)
             return;
 
+        if (elements === 'sync')
+            sampleRoundTrip(String(arguments[1]));
+
         sendRaw(formatInstruction.apply(null, arguments));
     };
 
+    /**
+     * Returns traffic counters and the estimated round-trip time.
+     *
+     * @returns {!{bytesSent: number, bytesReceived: number, roundTripTime: ?number}}
+     *     Total bytes sent and received since connect() and the smoothed
+     *     round-trip time in milliseconds (null until measured).
+     */
+    this.getStatistics = function getStatistics() {
+        return {
+            bytesSent: bytesSent,
+            bytesReceived: bytesReceived,
+            roundTripTime: roundTripTime
+        };
+    };
+
     /**
      * Disconnect from guacd.
      */
@@ -443,3 +458,363 @@ export function CockpitTunnel() {
 }
 
 CockpitTunnel.prototype = new Guacamole.Tunnel();
+
+/**
+ * Returns the cockpit.channel() options for the stream to guacd.
+ *
+ * @private
+ * @param {!object} settings
+ *     The connection settings passed to setConnectionSettings().
+ * @returns {!object}
+ *     The channel options.
+ */
+function guacdChannelOptions(settings) {
+    var options = {
+        payload: 'stream',
+        port: settings.guacdPort || 4822,
+        binary: false
+    };
+
+    if (settings.guacdHost)
+        options.address = settings.guacdHost;
+
+    // guacd's certificate is checked against the given authority, or
+    // the system's trusted ones without
+    if (settings.guacdTls) {
+        options.tls = { validate: true };
+        if (settings.guacdCaFile)
+            options.tls.authority = { file: settings.guacdCaFile };
+    }
+
+    return options;
+}
+
+/**
+ * Returns the address of guacd for messages, e.g. "localhost:4822".
+ *
+ * @private
+ * @param {!object} settings
+ *     The connection settings passed to setConnectionSettings().
+ * @returns {!string}
+ *     The host and port of guacd.
+ */
+function guacdAddress(settings) {
+    return (settings.guacdHost || 'localhost') + ':' + (settings.guacdPort || 4822);
+}
+
+/**
+ * Rewrites guacd's error text for failures to reach the remote desktop
+ * host so that the message names the host and port that were tried.
+ * Other errors, and errors of joined connections, whose host is not
+ * known here, are returned unchanged.
+ *
+ * @private
+ * @param {!number} code
+ *     The Guacamole status code reported by guacd.
+ * @param {!string} message
+ *     The error text reported by guacd.
+ * @param {!object} settings
+ *     The connection settings passed to setConnectionSettings().
+ * @returns {!string}
+ *     The message to report.
+ */
+function describeUpstreamError(code, message, settings) {
+    if (settings.join)
+        return message;
+
+    var target = (settings.hostname || 'localhost') + ':' + settings.port;
+
+    switch (code) {
+        case Guacamole.Status.Code.UPSTREAM_NOT_FOUND:
+            return 'Host ' + target + ' could not be found (' + message + ')';
+        case Guacamole.Status.Code.UPSTREAM_UNAVAILABLE:
+            return 'Host ' + target + ' is unreachable or refused the connection (' + message + ')';
+        case Guacamole.Status.Code.UPSTREAM_TIMEOUT:
+            return 'Host ' + target + ' did not respond in time (' + message + ')';
+        case Guacamole.Status.Code.UPSTREAM_ERROR:
+            return 'Host ' + target + ' reported an error (' + message + ')';
+        default:
+            return message;
+    }
+}
+
+/**
+ * Returns the raw PCM audio mimetypes that Guacamole.AudioPlayer can
+ * play in this browser, in order of preference.
+ *
+ * @private
+ * @returns {!string[]}
+ *     The supported audio mimetypes.
+ */
+function supportedAudioMimetypes() {
+    return ['audio/L16', 'audio/L8'].filter(function(mimetype) {
+        return Guacamole.AudioPlayer.isSupportedType(mimetype);
+    });
+}
+
+/**
+ * Counts the bytes a string takes up in UTF-8, the encoding of the
+ * channel to guacd. A surrogate pair counts 2 for each half.
+ *
+ * @private
+ * @param {!string} text
+ *     The string to measure.
+ * @returns {!number}
+ *     The length of the string in UTF-8 bytes.
+ */
+function utf8Length(text) {
+    var length = text.length;
+    for (var i = 0; i < text.length; i++) {
+        var code = text.charCodeAt(i);
+        if (code >= 0x800 && (code < 0xD800 || code > 0xDFFF))
+            length += 2;
+        else if (code >= 0x80)
+            length += 1;
+    }
+    return length;
+}
+
+/**
+ * Converts a boolean setting into guacd's representation, where "true"
+ * enables an option and an empty string leaves the default.
+ *
+ * @private
+ * @param {boolean} value
+ *     The setting value.
+ * @returns {!string}
+ *     "true" if the setting is enabled, an empty string otherwise.
+ */
+function flag(value) {
+    return value ? 'true' : '';
+}
+
+/**
+ * Builds the parameter map for libguac-client-rdp.
+ *
+ * @private
+ * @param {!object} settings
+ *     The connection settings passed to setConnectionSettings().
+ * @param {!number} width
+ *     The requested display width, in pixels.
+ * @param {!number} height
+ *     The requested display height, in pixels.
+ * @param {!number} dpi
+ *     The requested display resolution, in DPI.
+ * @returns {!Object.<string, string>}
+ *     The RDP connection parameters, keyed by guacd argument name.
+ */
+function rdpParams(settings, width, height, dpi) {
+    return {
+        'hostname':                     settings.hostname || 'localhost',
+        'port':                         String(settings.port || 3389),
+        'domain':                        settings.domain || '',
+        'username':                      settings.username || '',
+        'password':                      settings.password || '',
+        'width':                         String(width),
+        'height':                        String(height),
+        'dpi':                           String(dpi),
+        'initial-program':               settings.initialProgram || '',
+        'color-depth':                   settings.colorDepth || '',
+        'disable-audio':                 flag(settings.disableAudio),
+        'enable-printing':               '',
+        'printer-name':                  '',
+        'enable-drive':                  flag(settings.enableDrive),
+        'drive-name':                    settings.enableDrive ? 'Cockpit' : '',
+        'drive-path':                    settings.enableDrive ? settings.drivePath || '' : '',
+        'create-drive-path':             flag(settings.enableDrive),
+        'disable-download':              flag(settings.disableDownload),
+        'disable-upload':                flag(settings.disableUpload),
+        'console':                       flag(settings.console),
+        'console-audio':                 '',
+        'server-layout':                 settings.serverLayout || '',
+        'security':                      settings.security || 'any',
+        'ignore-cert':                   settings.ignoreCert !== false ? 'true' : '',
+        'disable-auth':                  '',
+        'remote-app':                    '',
+        'remote-app-dir':                '',
+        'remote-app-args':               '',
+        'static-channels':               '',
+        'client-name':                   'cockpit-guacamole',
+        'enable-wallpaper':              flag(settings.enableWallpaper),
+        'enable-theming':                flag(settings.enableTheming),
+        'enable-font-smoothing':         settings.enableFontSmoothing !== false ? 'true' : '',
+        'enable-full-window-drag':       flag(settings.enableFullWindowDrag),
+        'enable-desktop-composition':    flag(settings.enableDesktopComposition),
+        'enable-menu-animations':        flag(settings.enableMenuAnimations),
+        'disable-bitmap-caching':        flag(settings.disableBitmapCaching),
+        'disable-offscreen-caching':     flag(settings.disableOffscreenCaching),
+        'disable-glyph-caching':         flag(settings.disableGlyphCaching),
+        'preconnection-id':              '',
+        'preconnection-blob':            '',
+        'timezone':                      settings.timezone || '',
+        'enable-sftp':                   '',
+        'sftp-hostname':                 '',
+        'sftp-host-key':                 '',
+        'sftp-port':                     '',
+        'sftp-username':                 '',
+        'sftp-password':                 '',
+        'sftp-private-key':              '',
+        'sftp-passphrase':               '',
+        'sftp-directory':                '',
+        'sftp-root-directory':           '',
+        'sftp-server-alive-interval':    '',
+        'recording-path':               settings.recordSession ? settings.recordingPath : '',
+        'recording-name':               settings.recordSession ? settings.recordingName : '',
+        'recording-exclude-output':      '',
+        'recording-exclude-mouse':       '',
+        'recording-exclude-touch':       '',
+        'recording-include-keys':        flag(settings.recordSession && settings.recordingIncludeKeys),
+        'create-recording-path':         flag(settings.recordSession),
+        'resize-method':                 settings.resizeMethod || 'display-update',
+        'enable-audio-input':            flag(settings.enableAudioInput),
+        'enable-touch':                  flag(settings.enableTouch),
+        'read-only':                     flag(settings.readOnly),
+        'gateway-hostname':              '',
+        'gateway-port':                  '',
+        'gateway-domain':               '',
+        'gateway-username':              '',
+        'gateway-password':              '',
+        'load-balance-info':             '',
+        'disable-copy':                  flag(settings.disableCopy),
+        'disable-paste':                 flag(settings.disablePaste),
+        'force-lossless':                flag(settings.forceLossless),
+        'normalize-clipboard':           settings.normalizeClipboard || '',
+        'timeout':                       '',
+    };
+}
+
+/**
+ * Builds the parameter map for libguac-client-vnc. The VNC protocol
+ * has no notion of client-driven display size, so width, height and
+ * DPI are only used for the initial "size" instruction.
+ *
+ * @private
+ * @param {!object} settings
+ *     The connection settings passed to setConnectionSettings().
+ * @returns {!Object.<string, string>}
+ *     The VNC connection parameters, keyed by guacd argument name.
+ */
+function vncParams(settings) {
+    return {
+        'hostname':                      settings.hostname || 'localhost',
+        'port':                          String(settings.port || 5900),
+        'read-only':                     flag(settings.readOnly),
+        'encodings':                     settings.encodings || '',
+        'username':                      settings.username || '',
+        'password':                      settings.password || '',
+        'swap-red-blue':                 '',
+        'color-depth':                   settings.colorDepth || '',
+        'cursor':                        settings.cursor || '',
+        'autoretry':                     '',
+        'clipboard-encoding':            '',
+        'dest-host':                     '',
+        'dest-port':                     '',
+        'enable-audio':                  '',
+        'audio-servername':              '',
+        'reverse-connect':               '',
+        'listen-timeout':                '',
+        'enable-sftp':                   '',
+        'sftp-hostname':                 '',
+        'sftp-host-key':                 '',
+        'sftp-port':                     '',
+        'sftp-username':                 '',
+        'sftp-password':                 '',
+        'sftp-private-key':              '',
+        'sftp-passphrase':               '',
+        'sftp-directory':                '',
+        'sftp-root-directory':           '',
+        'sftp-server-alive-interval':    '',
+        'recording-path':                settings.recordSession ? settings.recordingPath : '',
+        'recording-name':                settings.recordSession ? settings.recordingName : '',
+        'recording-exclude-output':      '',
+        'recording-exclude-mouse':       '',
+        'recording-include-keys':        flag(settings.recordSession && settings.recordingIncludeKeys),
+        'create-recording-path':         flag(settings.recordSession),
+        'disable-copy':                  flag(settings.disableCopy),
+        'disable-paste':                 flag(settings.disablePaste),
+        'force-lossless':                '',
+        'compress-level':                '',
+        'quality-level':                 '',
+    };
+}
+
+/**
+ * Builds the parameter map for libguac-client-ssh. The terminal is
+ * sized from the "size" instruction, so no display dimensions are
+ * passed here.
+ *
+ * @private
+ * @param {!object} settings
+ *     The connection settings passed to setConnectionSettings().
+ * @returns {!Object.<string, string>}
+ *     The SSH connection parameters, keyed by guacd argument name.
+ */
+function sshParams(settings) {
+    return {
+        'hostname':                      settings.hostname || 'localhost',
+        'host-key':                      settings.hostKey || '',
+        'port':                          String(settings.port || 22),
+        'username':                      settings.username || '',
+        'password':                      settings.password || '',
+        'font-name':                     settings.fontName || '',
+        'font-size':                     settings.fontSize ? String(settings.fontSize) : '',
+        'enable-sftp':                   '',
+        'sftp-root-directory':           '',
+        'sftp-disable-download':         '',
+        'sftp-disable-upload':           '',
+        'private-key':                   settings.privateKey || '',
+        'passphrase':                    settings.passphrase || '',
+        'public-key':                    '',
+        'color-scheme':                  settings.colorScheme || '',
+        'command':                       '',
+        'typescript-path':               '',
+        'typescript-name':               '',
+        'create-typescript-path':        '',
+        'recording-path':                settings.recordSession ? settings.recordingPath : '',
+        'recording-name':                settings.recordSession ? settings.recordingName : '',
+        'recording-exclude-output':      '',
+        'recording-exclude-mouse':       '',
+        'recording-include-keys':        flag(settings.recordSession && settings.recordingIncludeKeys),
+        'create-recording-path':         flag(settings.recordSession),
+        'read-only':                     flag(settings.readOnly),
+        'server-alive-interval':         '',
+        'backspace':                     '',
+        'terminal-type':                 settings.terminalType || '',
+        'scrollback':                    settings.scrollback ? String(settings.scrollback) : '',
+        'locale':                        '',
+        'timezone':                      '',
+        'disable-copy':                  flag(settings.disableCopy),
+        'disable-paste':                 flag(settings.disablePaste),
+    };
+}
+
+/**
+ * Builds the parameter map for joining a running connection. guacd
+ * answers "select" with the arguments of the joined connection's
+ * protocol, but only the per-user ones matter: the connection itself is
+ * already configured by its owner.
+ *
+ * @private
+ * @param {!object} settings
+ *     The connection settings passed to setConnectionSettings().
+ * @returns {!Object.<string, string>}
+ *     The parameters of the joining user, keyed by guacd argument name.
+ */
+function joinParams(settings) {
+    return {
+        'read-only':                     flag(settings.readOnly),
+    };
+}
+
+/**
+ * Parameter map builders for each protocol that may be selected
+ * during the handshake, keyed by guacd protocol name.
+ *
+ * @private
+ * @type {!Object.<string, function>}
+ */
+var PROTOCOL_PARAMS = {
+    'rdp': rdpParams,
+    'vnc': vncParams,
+    'ssh': sshParams
+};
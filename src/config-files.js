@@ -0,0 +1,163 @@
+/**
+ * Safe reading and writing of system configuration files.
+ *
+ * Files are read together with their cockpit.file() tag, and writes pass
+ * that tag back so a file changed by someone else in the meantime is
+ * detected instead of overwritten. Before every write the previous
+ * contents are saved next to the file as "<name>.<YYYYMMDD-HHMMSS>.bak",
+ * and any of these backups can be restored later.
+ */
+
+var BACKUP_PATTERN = /^(.+)\.(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\.bak$/;
+
+function dirName(path) {
+    return path.substring(0, path.lastIndexOf('/')) || '/';
+}
+
+function baseName(path) {
+    return path.substring(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Build the path of a new backup of a file, stamped with the current
+ * local time.
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+function backupPath(path) {
+    var now = new Date();
+    var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+    var stamp = now.getFullYear() + pad(now.getMonth() + 1) + pad(now.getDate()) + '-' +
+        pad(now.getHours()) + pad(now.getMinutes()) + pad(now.getSeconds());
+    return path + '.' + stamp + '.bak';
+}
+
+/**
+ * Read a configuration file along with its tag.
+ *
+ * @param {string} path
+ * @returns {Promise<{content: ?string, tag: ?string}>} content is null if
+ *     the file is missing or unreadable
+ */
+export function readConfigFile(path) {
+    var file = cockpit.file(path, { superuser: 'try' });
+    return file.read()
+        .then(function(content, tag) {
+            return { content: content, tag: tag };
+        })
+        .catch(function() {
+            return { content: null, tag: null };
+        })
+        .finally(function() {
+            file.close();
+        });
+}
+
+/**
+ * Back up a configuration file and replace it, unless it was changed
+ * since it was read.
+ *
+ * @param {string} path
+ * @param {?string} previous - The contents the file had when it was read,
+ *     or null if it did not exist, in which case it is created
+ * @param {string} content - The new contents
+ * @param {string} tag - The tag the file had when it was read
+ * @returns {Promise<string>} The new tag of the file
+ */
+export function writeConfigFile(path, previous, content, tag) {
+    return readConfigFile(path)
+        .then(function(current) {
+            // Catch a conflict before leaving a backup behind; replace()
+            // below checks the tag again to close the remaining gap
+            if (current.tag !== tag)
+                throw conflictError(path);
+            // A new file may also need its directory
+            if (previous === null)
+                return cockpit.spawn(['mkdir', '-p', '--', dirName(path)], { superuser: 'require', err: 'message' });
+
+            var backup = cockpit.file(backupPath(path), { superuser: 'require' });
+            return backup.replace(previous)
+                .finally(function() {
+                    backup.close();
+                });
+        })
+        .then(function() {
+            var file = cockpit.file(path, { superuser: 'require' });
+            return file.replace(content, tag)
+                .catch(function(err) {
+                    throw err.problem === 'change-conflict' ? conflictError(path) : err;
+                })
+                .finally(function() {
+                    file.close();
+                });
+        });
+}
+
+function conflictError(path) {
+    return new Error(path + ' was changed by someone else since it was loaded. ' +
+        'Close and reopen this dialog to start from the current version.');
+}
+
+/**
+ * List the backups of configuration files, newest first.
+ *
+ * @param {string[]} paths - The configuration files
+ * @returns {Promise<object[]>} Entries of { path, original, date }; rejects
+ *     if a directory of the files exists but cannot be listed
+ */
+export function listConfigBackups(paths) {
+    var dirs = paths.map(dirName).filter(function(dir, index, all) {
+        return all.indexOf(dir) === index;
+    });
+
+    return Promise.all(dirs.map(function(dir) {
+        // In the C locale, so that a missing directory can be told from
+        // other failures by the message
+        return cockpit.spawn(['ls', '-1', '--', dir], { superuser: 'try', err: 'message', environ: ['LC_ALL=C'] })
+            .then(function(output) {
+                return output.split('\n').map(function(name) {
+                    var match = name.match(BACKUP_PATTERN);
+                    if (!match || paths.indexOf(dir + '/' + match[1]) === -1)
+                        return null;
+                    return {
+                        path: dir + '/' + name,
+                        original: dir + '/' + match[1],
+                        date: new Date(match[2], match[3] - 1, match[4], match[5], match[6], match[7])
+                    };
+                }).filter(function(entry) {
+                    return entry;
+                });
+            })
+            .catch(function(err) {
+                // A directory that does not exist has no backups yet
+                if (/No such file or directory/.test(err.message || ''))
+                    return [];
+                throw err;
+            });
+    }))
+    .then(function(lists) {
+        return [].concat.apply([], lists).sort(function(a, b) {
+            return b.date - a.date || (a.original < b.original ? -1 : 1);
+        });
+    });
+}
+
+/**
+ * Read the contents of a backup.
+ *
+ * @param {object} backup - An entry from listConfigBackups()
+ * @returns {Promise<string>}
+ */
+export function readConfigBackup(backup) {
+    var file = cockpit.file(backup.path, { superuser: 'try' });
+    return file.read()
+        .then(function(content) {
+            if (content === null)
+                throw new Error(baseName(backup.path) + ' no longer exists');
+            return content;
+        })
+        .finally(function() {
+            file.close();
+        });
+}
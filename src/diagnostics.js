@@ -0,0 +1,865 @@
+import Guacamole from 'guacamole-common-js';
+import { XRDP_INI, SESMAN_INI, parseConfigFile, readConfigValues, getXrdpPort } from './xrdp-config.js';
+import { readConfigFile } from './config-files.js';
+import { unitStates, isPortListening, probePort, unitJournal, restartServices } from './service-health.js';
+import { installServicePackages } from './package-install.js';
+
+/**
+ * Explanations for failed connections, and checks of what a connection
+ * needs before it is made.
+ *
+ * A failure is matched first by the text guacd sent with it, which tells
+ * apart causes that share a status code (e.g. a missing protocol plugin
+ * and any other server error), then by its Guacamole status code. Each
+ * diagnosis names checks that probe the conditions behind it on this
+ * machine, so the user can see which one applies. The preflight runs a
+ * broader set of the same checks before connecting; where a problem can
+ * be fixed from here, its result carries the fix.
+ */
+
+var Code = Guacamole.Status.Code;
+
+// Auth failures xrdp-sesman logs, looked for around the time of an error
+var AUTH_FAILURE_PATTERN = /pam_authenticate|authentication fail|login failed|password incorrect/i;
+
+// How far before the error to look for them (milliseconds)
+var AUTH_JOURNAL_WINDOW = 60000;
+
+var DEFAULT_XRDP_PORT = 3389;
+var XRDP_DIR = '/etc/xrdp';
+
+function isLocalHost(hostname) {
+    return !hostname || ['localhost', '127.0.0.1', '::1'].indexOf(hostname) !== -1;
+}
+
+// Whether guacd runs on this machine. Host names of connections are
+// resolved by guacd, so only then can they be probed from here.
+function isLocalGuacd(settings) {
+    return isLocalHost(settings.guacdHost);
+}
+
+function isLocalRdp(settings) {
+    return settings.protocol === 'rdp' && !settings.join && isLocalGuacd(settings) &&
+        isLocalHost(settings.hostname);
+}
+
+function guacdPort(settings) {
+    return settings.guacdPort || 4822;
+}
+
+function guacdName(settings) {
+    return (settings.guacdHost || 'localhost') + ':' + guacdPort(settings);
+}
+
+function targetName(settings) {
+    return (settings.hostname || 'localhost') + ':' + settings.port;
+}
+
+function pass(message) {
+    return { status: 'pass', message: message };
+}
+
+function warn(message) {
+    return { status: 'warn', message: message };
+}
+
+function fail(message) {
+    return { status: 'fail', message: message };
+}
+
+function describeUnits(states, units) {
+    return units.map(function(unit) {
+        var state = states[unit];
+        if (state.loadState === 'not-found')
+            return unit + ' is not installed';
+        return unit + ' is ' + state.activeState + (state.subState ? ' (' + state.subState + ')' : '');
+    }).join(', ');
+}
+
+function startUnits(units) {
+    return cockpit.spawn(['systemctl', 'start'].concat(units), { superuser: 'require', err: 'message' });
+}
+
+/**
+ * The fix for services that are not running: install their package if
+ * a unit is missing, then start them.
+ *
+ * @param {string} service - Key in SERVICE_PACKAGES
+ * @param {string[]} units
+ * @param {object} states - Unit states as by unitStates()
+ * @returns {object} { label, run }
+ */
+function serviceFix(service, units, states) {
+    var missing = units.some(function(unit) {
+        return states[unit].loadState === 'not-found';
+    });
+    if (missing) {
+        return {
+            label: 'Install ' + service,
+            run: function() {
+                return installServicePackages(service).then(function() {
+                    return startUnits(units);
+                });
+            }
+        };
+    }
+    return {
+        label: 'Start ' + service,
+        run: function() {
+            return startUnits(units);
+        }
+    };
+}
+
+function withFix(result, fix) {
+    result.fix = fix;
+    return result;
+}
+
+function readConfigDoc(path) {
+    return readConfigFile(path).then(function(file) {
+        return parseConfigFile(file.content);
+    });
+}
+
+/**
+ * Check whether a user can read a file.
+ *
+ * @param {string} user
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+function readableBy(user, path) {
+    var args = user === 'root' ? ['test', '-r', path] : ['runuser', '-u', user, '--', 'test', '-r', path];
+    return cockpit.spawn(args, { superuser: 'require', err: 'message' })
+        .then(function() {
+            return true;
+        }, function(err) {
+            if (err.exit_status === 1)
+                return false;
+            throw err;
+        });
+}
+
+/**
+ * Parse "semanage port -l" output.
+ *
+ * @param {string} output
+ * @returns {object[]} Entries of { type, from, to } for TCP ports
+ */
+function parsePortLabels(output) {
+    var labels = [];
+    output.split('\n').forEach(function(line) {
+        var match = line.match(/^(\S+)\s+tcp\s+(.+)$/);
+        if (!match)
+            return;
+        match[2].split(',').forEach(function(range) {
+            var bounds = range.trim().split('-');
+            var from = parseInt(bounds[0], 10);
+            if (!isNaN(from))
+                labels.push({ type: match[1], from: from, to: parseInt(bounds[1] || bounds[0], 10) });
+        });
+    });
+    return labels;
+}
+
+function portLabel(labels, port) {
+    var found = labels.filter(function(label) {
+        return port >= label.from && port <= label.to;
+    });
+    // A single port is labeled more specifically than a range
+    found.sort(function(a, b) {
+        return (a.to - a.from) - (b.to - b.from);
+    });
+    return found.length ? found[0].type : null;
+}
+
+function checkUnits(units) {
+    return unitStates(units).then(function(states) {
+        var active = units.every(function(unit) {
+            return states[unit].activeState === 'active';
+        });
+        var message = describeUnits(states, units);
+        return active ? pass(message) : fail(message);
+    });
+}
+
+// xrdp's security_layer values and the client security modes that work
+// with each; xrdp implements neither NLA nor Hyper-V's VMConnect
+var XRDP_SECURITY_MODES = {
+    negotiate: ['any', 'tls', 'rdp'],
+    tls: ['any', 'tls'],
+    rdp: ['any', 'rdp']
+};
+
+/**
+ * Probes of the conditions a connection depends on, keyed by ID. Each has
+ * a label, may have applies(settings) to skip it where it means nothing,
+ * and run(settings, context) resolving to { status, message, fix } with a
+ * status of "pass", "warn" or "fail" and an optional fix of { label, run }.
+ * context holds the time of the error, or of the preflight.
+ */
+var CHECKS = {
+    guacdService: {
+        label: 'guacd is running',
+        applies: isLocalGuacd,
+        run: function() {
+            return checkUnits(['guacd']);
+        }
+    },
+    guacdPort: {
+        label: 'guacd accepts connections',
+        run: function(settings) {
+            var port = guacdPort(settings);
+            if (!isLocalGuacd(settings)) {
+                return probePort(port, settings.guacdHost).then(function(open) {
+                    return open
+                        ? pass(guacdName(settings) + ' accepts connections.')
+                        : fail(guacdName(settings) + ' cannot be reached from this machine.');
+                });
+            }
+
+            return Promise.all([isPortListening(port), unitStates(['guacd'])]).then(function(results) {
+                if (results[0])
+                    return pass('Something is listening on port ' + port + '.');
+                return withFix(fail('Nothing is listening on port ' + port + '; ' +
+                    describeUnits(results[1], ['guacd']) + '.'), serviceFix('guacd', ['guacd'], results[1]));
+            });
+        }
+    },
+    protocolPlugin: {
+        label: 'guacd supports the protocol',
+        applies: function(settings) {
+            return !settings.join && isLocalGuacd(settings);
+        },
+        run: function(settings) {
+            var library = 'libguac-client-' + settings.protocol + '.so';
+            return cockpit.spawn(['ldconfig', '-p'], { err: 'message' }).then(function(output) {
+                if (output.indexOf(library) !== -1)
+                    return pass(library + ' is installed.');
+                return withFix(fail(library + ' was not found.'), {
+                    label: 'Install libguac-client-' + settings.protocol,
+                    run: function() {
+                        return installServicePackages('guacd').then(function() {
+                            return restartServices(['guacd']);
+                        });
+                    }
+                });
+            });
+        }
+    },
+    targetPort: {
+        label: 'The remote desktop port is open',
+        applies: function(settings) {
+            return !settings.join && isLocalGuacd(settings);
+        },
+        run: function(settings) {
+            var probe = isLocalHost(settings.hostname)
+                ? isPortListening(settings.port)
+                : probePort(settings.port, settings.hostname);
+            return probe.then(function(open) {
+                if (open)
+                    return pass(targetName(settings) + ' accepts connections.');
+
+                var result = fail(targetName(settings) + ' cannot be reached from this machine.');
+                if (!isLocalRdp(settings))
+                    return result;
+
+                // Tell why xrdp is not there: stopped, or on another port
+                var units = ['xrdp', 'xrdp-sesman'];
+                return Promise.all([unitStates(units), readConfigDoc(XRDP_INI)]).then(function(results) {
+                    var states = results[0];
+                    var port = results[1] ? getXrdpPort(results[1]) : DEFAULT_XRDP_PORT;
+                    var running = units.every(function(unit) {
+                        return states[unit].activeState === 'active';
+                    });
+
+                    if (!running)
+                        return withFix(fail(result.message + ' ' + describeUnits(states, units) + '.'),
+                            serviceFix('xrdp', units, states));
+                    if (port !== settings.port)
+                        return fail(result.message + ' xrdp is set to listen on port ' + port + '.');
+                    return result;
+                });
+            });
+        }
+    },
+    xrdpService: {
+        label: 'xrdp is running',
+        applies: isLocalRdp,
+        run: function() {
+            return checkUnits(['xrdp', 'xrdp-sesman']);
+        }
+    },
+    xrdpSecurity: {
+        label: 'The security mode matches xrdp',
+        applies: isLocalRdp,
+        run: function(settings) {
+            return readConfigFile(XRDP_INI).then(function(file) {
+                var doc = parseConfigFile(file.content);
+                if (!doc)
+                    return warn('Could not read ' + XRDP_INI + '.');
+
+                var layer = (doc.get('Globals', 'security_layer') || 'negotiate').toLowerCase();
+                var modes = XRDP_SECURITY_MODES[layer] || XRDP_SECURITY_MODES.negotiate;
+                var mode = settings.security || 'any';
+                return modes.indexOf(mode) !== -1
+                    ? pass('Security mode "' + mode + '" works with xrdp\'s security_layer=' + layer + '.')
+                    : fail('Security mode "' + mode + '" does not work with xrdp\'s security_layer=' + layer +
+                        '; use ' + modes.map(function(m) { return '"' + m + '"'; }).join(' or ') + '.');
+            });
+        }
+    },
+    sesmanAuth: {
+        label: 'xrdp-sesman accepted the login',
+        applies: isLocalRdp,
+        run: function(settings, context) {
+            var since = new Date(context.time.getTime() - AUTH_JOURNAL_WINDOW);
+            return unitJournal(['xrdp-sesman.service', 'xrdp.service'], since).then(function(journal) {
+                var failures = journal.split('\n').filter(function(line) {
+                    return AUTH_FAILURE_PATTERN.test(line);
+                });
+                return failures.length
+                    ? fail(failures[failures.length - 1].trim())
+                    : pass('No login failures were logged around the time of the error.');
+            });
+        }
+    },
+    localSession: {
+        label: 'The user has no local graphical session',
+        applies: function(settings) {
+            return isLocalRdp(settings) && !!settings.username;
+        },
+        run: function(settings) {
+            return cockpit.spawn(['loginctl', 'list-sessions', '--no-legend'], { err: 'message' })
+                .then(function(output) {
+                    // SESSION UID USER SEAT ...
+                    var seated = output.split('\n').some(function(line) {
+                        var columns = line.trim().split(/\s+/);
+                        return columns[2] === settings.username && /^seat/.test(columns[3] || '');
+                    });
+                    return seated
+                        ? fail(settings.username + ' is logged in on this machine\'s screen; xrdp cannot ' +
+                            'start a second desktop for the same user. Log out locally first.')
+                        : pass(settings.username + ' has no session on this machine\'s screen.');
+                });
+        }
+    },
+    selinux: {
+        label: 'SELinux allows xrdp',
+        applies: isLocalRdp,
+        run: function(settings) {
+            return cockpit.spawn(['getenforce'], { err: 'message' })
+                .catch(function() {
+                    return 'Disabled';
+                })
+                .then(function(mode) {
+                    mode = mode.trim();
+                    if (mode !== 'Enforcing')
+                        return pass('SELinux is ' + mode.toLowerCase() + '.');
+                    return Promise.all([checkPortLabel(settings.port), recentDenials(), disabledBooleans()])
+                        .then(function(results) {
+                            var denials = results[1];
+                            var booleans = results[2];
+                            if (denials.length)
+                                return fail('SELinux denied guacd or xrdp: ' + denials[denials.length - 1]);
+                            if (results[0].status !== 'pass')
+                                return results[0];
+                            if (booleans.length)
+                                return warn('SELinux booleans for guacd or xrdp are off: ' + booleans.join(', ') +
+                                    '. Turn them on with setsebool if xrdp needs what they allow.');
+                            return pass(results[0].message + ' No denials of guacd or xrdp were logged ' +
+                                'recently and none of their booleans are off.');
+                        });
+                });
+        }
+    },
+    firewall: {
+        label: 'firewalld allows the port',
+        applies: isLocalRdp,
+        run: function(settings) {
+            var port = settings.port + '/tcp';
+            return cockpit.spawn(['firewall-cmd', '--state'], { err: 'message' })
+                .then(function() {
+                    return Promise.all([
+                        cockpit.spawn(['firewall-cmd', '--list-ports'], { superuser: 'try', err: 'message' }),
+                        cockpit.spawn(['firewall-cmd', '--list-services'], { superuser: 'try', err: 'message' })
+                    ]).then(function(results) {
+                        var ports = results[0].trim().split(/\s+/);
+                        var services = results[1].trim().split(/\s+/);
+                        if (ports.indexOf(port) !== -1 ||
+                            (settings.port === DEFAULT_XRDP_PORT && services.indexOf('rdp') !== -1))
+                            return pass('Port ' + port + ' is open.');
+
+                        return withFix(warn('Port ' + port + ' is closed. Connections from here still work, ' +
+                            'since guacd reaches xrdp on this machine, but other RDP clients cannot.'), {
+                            label: 'Open port ' + port,
+                            run: function() {
+                                return cockpit.spawn(['firewall-cmd', '--permanent', '--add-port=' + port],
+                                    { superuser: 'require', err: 'message' })
+                                    .then(function() {
+                                        return cockpit.spawn(['firewall-cmd', '--reload'],
+                                            { superuser: 'require', err: 'message' });
+                                    });
+                            }
+                        });
+                    });
+                }, function() {
+                    return pass('firewalld is not running.');
+                });
+        }
+    },
+    sesmanUser: {
+        label: 'xrdp-sesman allows the user',
+        applies: function(settings) {
+            return isLocalRdp(settings) && !!settings.username;
+        },
+        run: function(settings) {
+            return readConfigDoc(SESMAN_INI).then(function(doc) {
+                var values = readConfigValues({ sesman: doc });
+                var user = settings.username;
+
+                if (user === 'root' && !values.allowRootLogin)
+                    return fail('sesman.ini does not allow root to log in; change this in Configure.');
+                if (!values.usersGroup)
+                    return pass('sesman.ini does not restrict users.');
+                return checkUsersGroup(user, values.usersGroup, values.alwaysGroupCheck);
+            });
+        }
+    },
+    tlsCertificate: {
+        label: 'xrdp can read its TLS certificate',
+        applies: isLocalRdp,
+        run: function() {
+            return readConfigDoc(XRDP_INI).then(function(doc) {
+                var values = readConfigValues({ xrdp: doc });
+                var layer = values.securityLayer.toLowerCase();
+                if (layer === 'rdp')
+                    return pass('xrdp does not use TLS (security_layer=rdp).');
+
+                // xrdp runs as root unless it drops privileges (xrdp 0.10)
+                var user = (doc && doc.get('Globals', 'runtime_user')) || 'root';
+                var group = (doc && doc.get('Globals', 'runtime_group')) || user;
+                var paths = [
+                    xrdpPath(values.certificate || 'cert.pem'),
+                    xrdpPath(values.keyFile || 'key.pem')
+                ];
+                return checkTlsFiles(paths, user, group, layer);
+            });
+        }
+    }
+};
+
+function xrdpPath(path) {
+    return path.charAt(0) === '/' ? path : XRDP_DIR + '/' + path;
+}
+
+/**
+ * Compare the SELinux label of xrdp's port with the label of its default
+ * port, which the policy allows xrdp to bind.
+ *
+ * @param {number} port
+ * @returns {Promise<object>} A check result
+ */
+function checkPortLabel(port) {
+    if (port === DEFAULT_XRDP_PORT)
+        return Promise.resolve(pass('SELinux is enforcing; xrdp uses its default port.'));
+
+    return cockpit.spawn(['semanage', 'port', '-l'], { superuser: 'try', err: 'message' })
+        .then(function(output) {
+            var labels = parsePortLabels(output);
+            var expected = portLabel(labels, DEFAULT_XRDP_PORT);
+            var actual = portLabel(labels, port);
+            if (!expected || actual === expected)
+                return pass('SELinux is enforcing; port ' + port + ' is labeled ' + (actual || 'as any port') + '.');
+
+            return withFix(warn('Port ' + port + ' is labeled ' + (actual || 'as no particular service') +
+                ', not ' + expected + ', so SELinux may not let xrdp listen on it.'), {
+                label: 'Label port ' + port + ' as ' + expected,
+                run: function() {
+                    return cockpit.spawn(['semanage', 'port', actual ? '-m' : '-a', '-t', expected, '-p', 'tcp',
+                        String(port)], { superuser: 'require', err: 'message' });
+                }
+            });
+        })
+        .catch(function() {
+            return warn('SELinux is enforcing, but port labels could not be read (is semanage installed?).');
+        });
+}
+
+/**
+ * Find recent SELinux denials of guacd and xrdp.
+ *
+ * @returns {Promise<string[]>} The denials, oldest first
+ */
+function recentDenials() {
+    return cockpit.spawn(['ausearch', '-m', 'AVC,USER_AVC', '-ts', 'recent', '-i'],
+        { superuser: 'try', err: 'message' })
+        .then(function(output) {
+            return output.split('\n').filter(function(line) {
+                return /denied/.test(line) && /comm="?(guacd|xrdp|xrdp-sesman)"?\s/.test(line);
+            }).map(function(line) {
+                return line.trim();
+            });
+        })
+        .catch(function() {
+            // ausearch exits with an error when nothing matched
+            return [];
+        });
+}
+
+/**
+ * Find SELinux booleans for guacd and xrdp that are turned off, for
+ * policies that define any.
+ *
+ * @returns {Promise<string[]>} Their names
+ */
+function disabledBooleans() {
+    return cockpit.spawn(['getsebool', '-a'], { err: 'message' })
+        .then(function(output) {
+            return output.split('\n').map(function(line) {
+                var match = line.match(/^(\S*(?:guac|xrdp)\S*)\s+-->\s+off$/);
+                return match ? match[1] : null;
+            }).filter(function(name) {
+                return name;
+            });
+        })
+        .catch(function() {
+            return [];
+        });
+}
+
+/**
+ * Check a user against sesman's TerminalServerUsers group. sesman only
+ * enforces the group when it exists, or always with AlwaysGroupCheck.
+ *
+ * @param {string} user
+ * @param {string} group
+ * @param {boolean} alwaysGroupCheck
+ * @returns {Promise<object>} A check result
+ */
+function checkUsersGroup(user, group, alwaysGroupCheck) {
+    var addUser = {
+        label: 'Add ' + user + ' to ' + group,
+        run: function() {
+            return cockpit.spawn(['usermod', '-a', '-G', group, user], { superuser: 'require', err: 'message' });
+        }
+    };
+
+    return cockpit.spawn(['getent', 'group', group], { err: 'message' })
+        .then(function() {
+            return cockpit.spawn(['id', '-nG', user], { err: 'message' }).then(function(output) {
+                if (output.trim().split(/\s+/).indexOf(group) !== -1)
+                    return pass(user + ' is a member of ' + group + '.');
+                return withFix(fail('Only members of ' + group + ' may log in, and ' + user + ' is not one.'),
+                    addUser);
+            }, function() {
+                return fail('There is no user ' + user + ' on this machine.');
+            });
+        }, function() {
+            if (!alwaysGroupCheck)
+                return pass('The group ' + group + ' does not exist, so sesman lets every user in.');
+            return withFix(fail('Only members of ' + group + ' may log in, but that group does not exist.'), {
+                label: 'Create ' + group + ' with ' + user,
+                run: function() {
+                    return cockpit.spawn(['groupadd', group], { superuser: 'require', err: 'message' })
+                        .then(addUser.run);
+                }
+            });
+        });
+}
+
+/**
+ * Check that xrdp's runtime user can read its certificate and key.
+ *
+ * @param {string[]} paths
+ * @param {string} user
+ * @param {string} group
+ * @param {string} layer - xrdp's security_layer; with "negotiate" xrdp
+ *     falls back to standard RDP security without a certificate
+ * @returns {Promise<object>} A check result
+ */
+function checkTlsFiles(paths, user, group, layer) {
+    return Promise.all(paths.map(function(path) {
+        return readableBy(user, path);
+    }))
+    .then(function(readable) {
+        var unreadable = paths.filter(function(path, index) {
+            return !readable[index];
+        });
+        if (!unreadable.length)
+            return pass(paths.join(' and ') + ' can be read by ' + user + '.');
+
+        var problem = layer === 'tls' ? fail : warn;
+        var result = problem(unreadable.join(' and ') + ' cannot be read by ' + user +
+            (layer === 'tls' ? '; TLS connections will fail.' : '; xrdp falls back to standard RDP security.'));
+
+        // Root reads everything there is; only missing files are left
+        if (user === 'root')
+            return result;
+        return withFix(result, {
+            label: 'Let ' + group + ' read ' + (unreadable.length > 1 ? 'them' : 'it'),
+            run: function() {
+                return cockpit.spawn(['chgrp', group].concat(unreadable), { superuser: 'require', err: 'message' })
+                    .then(function() {
+                        return cockpit.spawn(['chmod', 'g+r'].concat(unreadable),
+                            { superuser: 'require', err: 'message' });
+                    });
+            }
+        });
+    });
+}
+
+/**
+ * Checks run before connecting, in the order they are shown. They need
+ * no administrative access and finish quickly, since every connection
+ * waits for them.
+ */
+var PREFLIGHT_CHECKS = ['guacdPort', 'protocolPlugin', 'targetPort'];
+
+/**
+ * Checks run when the user asks for them: those before connecting, and
+ * the ones that read what only an administrator may.
+ */
+var THOROUGH_CHECKS = PREFLIGHT_CHECKS.concat(['selinux', 'firewall', 'sesmanUser', 'tlsCertificate']);
+
+function applicableChecks(ids, settings) {
+    return ids.filter(function(id) {
+        return !CHECKS[id].applies || CHECKS[id].applies(settings);
+    });
+}
+
+/**
+ * Diagnoses matched by the text of an error, checked in order before the
+ * status code.
+ */
+var MESSAGE_DIAGNOSES = [
+    {
+        pattern: /Unable to reach guacd/,
+        title: 'guacd is not reachable',
+        explanation: 'The Guacamole proxy daemon, which connects to the remote desktop on your behalf, ' +
+            'is not running, not listening on its port, or its TLS certificate was not accepted.',
+        fixes: [
+            'Start guacd from the toolbar, or install it if it is missing.',
+            'Check the guacd host, port and TLS settings in Configure.'
+        ],
+        checks: ['guacdService', 'guacdPort']
+    },
+    {
+        pattern: /not installed|client plugin|protocol not supported/i,
+        title: 'guacd cannot handle this protocol',
+        explanation: 'guacd is running, but the plugin for this protocol is not installed.',
+        fixes: ['Install libguac-client-rdp, libguac-client-vnc or libguac-client-ssh, then restart guacd.'],
+        checks: ['protocolPlugin']
+    },
+    {
+        pattern: /security negotiation|wrong security type/i,
+        title: 'The security mode was rejected',
+        explanation: 'The remote desktop does not support the security mode chosen for this connection.',
+        fixes: [
+            'Set Security Mode under the RDP options to "Any (negotiate)".',
+            'xrdp does not support NLA; use TLS or standard RDP encryption with it.'
+        ],
+        checks: ['xrdpSecurity', 'targetPort']
+    }
+];
+
+/**
+ * Diagnoses keyed by Guacamole status code.
+ */
+var CODE_DIAGNOSES = {};
+
+CODE_DIAGNOSES[Code.CLIENT_UNAUTHORIZED] = {
+    title: 'The login was rejected',
+    explanation: 'The remote desktop did not accept the user name and password.',
+    fixes: [
+        'Check the user name, password and domain.',
+        'With xrdp, the account must be allowed to log in by sesman.ini (see Configure).'
+    ],
+    checks: ['sesmanAuth']
+};
+
+CODE_DIAGNOSES[Code.CLIENT_FORBIDDEN] = {
+    title: 'The user may not log in',
+    explanation: 'The credentials were accepted, but the account is not allowed to open a session.',
+    fixes: [
+        'With xrdp, check the allowed users group and root login settings in Configure.',
+        'On Windows, add the user to the Remote Desktop Users group.'
+    ],
+    checks: ['sesmanAuth']
+};
+
+CODE_DIAGNOSES[Code.UPSTREAM_NOT_FOUND] = {
+    title: 'The remote desktop could not be found',
+    explanation: 'guacd could not resolve the host name or nothing answered on the port.',
+    fixes: [
+        'Check the host name and port.',
+        'For this machine, make sure xrdp is running and the port matches the one in Configure.'
+    ],
+    checks: ['targetPort', 'xrdpService']
+};
+
+CODE_DIAGNOSES[Code.UPSTREAM_UNAVAILABLE] = {
+    title: 'The remote desktop refused the connection',
+    explanation: 'Nothing is listening on the configured port, or a firewall blocks it.',
+    fixes: [
+        'Check the port; xrdp listens on the port set in Configure.',
+        'Start xrdp, or open the port in the remote machine\'s firewall.'
+    ],
+    checks: ['targetPort', 'xrdpService']
+};
+
+CODE_DIAGNOSES[Code.UPSTREAM_TIMEOUT] = {
+    title: 'The remote desktop did not respond',
+    explanation: 'The connection timed out, usually because a firewall drops it or the host is down.',
+    fixes: ['Check that the host is up and its firewall allows the port.'],
+    checks: ['targetPort', 'xrdpService']
+};
+
+CODE_DIAGNOSES[Code.UPSTREAM_ERROR] = {
+    title: 'The remote desktop reported an error',
+    explanation: 'The connection was made, but the remote desktop ended it with an error.',
+    fixes: [
+        'Try the "Any (negotiate)" security mode.',
+        'Look at the service logs for the reason.'
+    ],
+    checks: ['xrdpService', 'xrdpSecurity', 'sesmanAuth']
+};
+
+CODE_DIAGNOSES[Code.SESSION_CONFLICT] = {
+    title: 'A session is already active',
+    explanation: 'The remote desktop ended this connection because the same user connected elsewhere ' +
+        'or is already logged in.',
+    fixes: [
+        'Close the other connection, or log out of the local desktop first.',
+        'With xrdp, a user logged in on the machine\'s own screen cannot get a second desktop.'
+    ],
+    checks: ['localSession']
+};
+
+CODE_DIAGNOSES[Code.SESSION_TIMEOUT] = {
+    title: 'The session timed out',
+    explanation: 'The remote desktop ended the session after an idle or login time limit.',
+    fixes: ['With xrdp, raise the idle and disconnected time limits in Configure.'],
+    checks: []
+};
+
+CODE_DIAGNOSES[Code.SESSION_CLOSED] = {
+    title: 'The session was closed',
+    explanation: 'The remote desktop was logged off or disconnected by someone else.',
+    fixes: ['Connect again; an administrator may have ended the session.'],
+    checks: []
+};
+
+CODE_DIAGNOSES[Code.SERVER_BUSY] = {
+    title: 'Too many sessions',
+    explanation: 'The server refused the connection because it has as many sessions as it allows.',
+    fixes: ['Close other sessions, or raise the maximum number of sessions in Configure.'],
+    checks: ['xrdpService']
+};
+CODE_DIAGNOSES[Code.CLIENT_TOO_MANY] = CODE_DIAGNOSES[Code.SERVER_BUSY];
+
+CODE_DIAGNOSES[Code.RESOURCE_NOT_FOUND] = {
+    title: 'The connection no longer exists',
+    explanation: 'The shared connection has ended, or the connection ID is wrong.',
+    fixes: ['Ask for a new join link.'],
+    checks: ['guacdService']
+};
+
+CODE_DIAGNOSES[Code.UNSUPPORTED] = {
+    title: 'The request is not supported',
+    explanation: 'guacd does not support something this connection asked for.',
+    fixes: ['Check that guacd and its protocol plugins are up to date.'],
+    checks: ['protocolPlugin']
+};
+CODE_DIAGNOSES[Code.CLIENT_BAD_TYPE] = CODE_DIAGNOSES[Code.UNSUPPORTED];
+
+CODE_DIAGNOSES[Code.SERVER_ERROR] = {
+    title: 'guacd ran into an error',
+    explanation: 'The Guacamole proxy daemon failed while setting up the connection.',
+    fixes: [
+        'Make sure the plugin for this protocol is installed.',
+        'Look at the service logs for the reason.'
+    ],
+    checks: ['guacdService', 'guacdPort', 'protocolPlugin']
+};
+
+var UNKNOWN_DIAGNOSIS = {
+    title: 'The connection failed',
+    explanation: 'The cause is not known; the checks below cover the usual suspects.',
+    fixes: ['Look at the service logs for the reason.'],
+    checks: ['guacdService', 'guacdPort', 'targetPort', 'xrdpService']
+};
+
+/**
+ * Explain why a connection failed.
+ *
+ * @param {Guacamole.Status} status - The status the connection ended with
+ * @param {object} settings - The connection settings
+ * @returns {object} { title, explanation, fixes, checks } where fixes are
+ *     suggestions and checks the IDs of the checks that apply to the
+ *     connection, for runDiagnosticChecks()
+ */
+export function diagnoseError(status, settings) {
+    var message = status.message || '';
+    var diagnosis = null;
+
+    MESSAGE_DIAGNOSES.forEach(function(candidate) {
+        if (!diagnosis && candidate.pattern.test(message))
+            diagnosis = candidate;
+    });
+    diagnosis = diagnosis || CODE_DIAGNOSES[status.code] || UNKNOWN_DIAGNOSIS;
+
+    return {
+        title: diagnosis.title,
+        explanation: diagnosis.explanation,
+        fixes: diagnosis.fixes.slice(),
+        checks: applicableChecks(diagnosis.checks, settings)
+    };
+}
+
+/**
+ * The checks to run before making a connection.
+ *
+ * @param {object} settings - The connection settings
+ * @param {boolean} [thorough] - Include the checks that need
+ *     administrative access, for when the user asked for them
+ * @returns {string[]} Check IDs, for runDiagnosticChecks()
+ */
+export function preflightChecks(settings, thorough) {
+    return applicableChecks(thorough ? THOROUGH_CHECKS : PREFLIGHT_CHECKS, settings);
+}
+
+/**
+ * Run the checks of a diagnosis.
+ *
+ * @param {string[]} checks - Check IDs from diagnoseError()
+ * @param {object} settings - The connection settings
+ * @param {Date} time - When the error happened
+ * @returns {Promise<object[]>} Results of { id, label, status, message,
+ *     fix } in the order of the checks, where fix, if set, is { label,
+ *     run } and run() returns a promise; a check that cannot run is
+ *     reported as "warn"
+ */
+export function runDiagnosticChecks(checks, settings, time) {
+    var context = { time: time };
+    return Promise.all(checks.map(function(id) {
+        var check = CHECKS[id];
+        return Promise.resolve()
+            .then(function() {
+                return check.run(settings, context);
+            })
+            .catch(function(err) {
+                return warn('Could not check: ' + (err.message || err));
+            })
+            .then(function(result) {
+                return {
+                    id: id,
+                    label: check.label,
+                    status: result.status,
+                    message: result.message,
+                    fix: result.fix || null
+                };
+            });
+    }));
+}
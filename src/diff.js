@@ -0,0 +1,138 @@
+/**
+ * Line-based text diffs, used to show configuration changes before they
+ * are written.
+ */
+
+// Unchanged lines shown around each change
+var CONTEXT_LINES = 3;
+
+/**
+ * Compare two lists of lines.
+ *
+ * Uses a longest-common-subsequence table after trimming the common
+ * prefix and suffix, which is plenty for configuration files of a few
+ * hundred lines.
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {object[]} Operations of the form { type, line } in order,
+ *     where type is " " (unchanged), "-" (removed) or "+" (added)
+ */
+export function diffLines(a, b) {
+    var start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start])
+        start++;
+
+    var endA = a.length;
+    var endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    var n = endA - start;
+    var m = endB - start;
+
+    // lcs[i][j]: length of the common subsequence of a[start+i..endA)
+    // and b[start+j..endB)
+    var lcs = [];
+    for (var i = n; i >= 0; i--) {
+        lcs[i] = new Array(m + 1);
+        for (var j = m; j >= 0; j--) {
+            if (i === n || j === m)
+                lcs[i][j] = 0;
+            else if (a[start + i] === b[start + j])
+                lcs[i][j] = lcs[i + 1][j + 1] + 1;
+            else
+                lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    var ops = [];
+    var k;
+    for (k = 0; k < start; k++)
+        ops.push({ type: ' ', line: a[k] });
+
+    i = 0;
+    j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && a[start + i] === b[start + j]) {
+            ops.push({ type: ' ', line: a[start + i] });
+            i++;
+            j++;
+        } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push({ type: '-', line: a[start + i] });
+            i++;
+        } else {
+            ops.push({ type: '+', line: b[start + j] });
+            j++;
+        }
+    }
+
+    for (k = endA; k < a.length; k++)
+        ops.push({ type: ' ', line: a[k] });
+
+    return ops;
+}
+
+/**
+ * Build a unified diff between two texts.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string} oldName - File name shown in the "---" header
+ * @param {string} [newName] - File name shown in the "+++" header;
+ *     defaults to oldName
+ * @returns {string} The diff, or an empty string if the texts are equal
+ */
+export function unifiedDiff(oldText, newText, oldName, newName) {
+    if (oldText === newText)
+        return '';
+
+    var ops = diffLines(oldText.split('\n'), newText.split('\n'));
+    var output = ['--- ' + oldName, '+++ ' + (newName || oldName)];
+
+    // Line numbers (1-based) of every operation in the old and new text
+    var oldLine = 1;
+    var newLine = 1;
+    ops.forEach(function(op) {
+        op.oldLine = oldLine;
+        op.newLine = newLine;
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    });
+
+    var index = 0;
+    while (index < ops.length) {
+        // Find the next change and the extent of its hunk: changes less
+        // than two contexts apart share a hunk
+        while (index < ops.length && ops[index].type === ' ')
+            index++;
+        if (index === ops.length)
+            break;
+
+        var first = Math.max(0, index - CONTEXT_LINES);
+        var last = index;
+        var scan = index;
+        while (scan < ops.length && scan - last <= CONTEXT_LINES * 2) {
+            if (ops[scan].type !== ' ')
+                last = scan;
+            scan++;
+        }
+        var end = Math.min(ops.length, last + CONTEXT_LINES + 1);
+
+        var hunk = ops.slice(first, end);
+        var oldCount = hunk.filter(function(op) { return op.type !== '+'; }).length;
+        var newCount = hunk.filter(function(op) { return op.type !== '-'; }).length;
+
+        output.push('@@ -' + (oldCount ? hunk[0].oldLine : hunk[0].oldLine - 1) + ',' + oldCount +
+            ' +' + (newCount ? hunk[0].newLine : hunk[0].newLine - 1) + ',' + newCount + ' @@');
+        hunk.forEach(function(op) {
+            output.push(op.type + op.line);
+        });
+
+        index = end;
+    }
+
+    return output.join('\n') + '\n';
+}
@@ -0,0 +1,306 @@
+import Guacamole from 'guacamole-common-js';
+
+/**
+ * File transfer through Guacamole file streams.
+ *
+ * With RDP drive redirection enabled, guacd exposes the redirected
+ * drive as a Guacamole.Object (received via client.onfilesystem).
+ * Directory listings are JSON stream indexes mapping each stream name
+ * (an absolute path) to its mimetype, where directories carry
+ * Guacamole.Object.STREAM_INDEX_MIMETYPE. File contents are plain
+ * blob streams in both directions.
+ *
+ * Progress callbacks receive (transferredBytes, totalBytes); totalBytes
+ * is null for downloads, whose size is not known in advance.
+ *
+ * guacd gives streams it reads from no error status: one it aborts, or
+ * one left behind by a dropped connection, simply stops. Reads therefore
+ * fail once nothing has arrived for STALL_TIMEOUT.
+ */
+
+var DEFAULT_MIMETYPE = 'application/octet-stream';
+
+// How long a read may receive nothing before it fails (milliseconds)
+var STALL_TIMEOUT = 30000;
+
+/**
+ * Fail a read that receives nothing for STALL_TIMEOUT.
+ *
+ * @param {function} onstall - Called once the read has stalled
+ * @returns {object} { touch, stop }: touch() restarts the wait when data
+ *     arrives, stop() ends it when the read is done
+ */
+function stallTimer(onstall) {
+    var timeoutId = setTimeout(onstall, STALL_TIMEOUT);
+    return {
+        touch: function() {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(onstall, STALL_TIMEOUT);
+        },
+        stop: function() {
+            clearTimeout(timeoutId);
+        }
+    };
+}
+
+/**
+ * Abandon a stream guacd stopped sending on, asking it to close its end.
+ *
+ * @param {?Guacamole.InputStream} stream - Null if guacd has not opened
+ *     one yet
+ */
+function abortStream(stream) {
+    if (stream)
+        stream.sendAck('Timed out', Guacamole.Status.Code.CLIENT_TIMEOUT);
+}
+
+/**
+ * Format a byte count for display, e.g. "1.4 MB".
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    var i = 0;
+    while (bytes >= 1024 && i < units.length - 1) {
+        bytes /= 1024;
+        i++;
+    }
+    return (i === 0 ? bytes : bytes.toFixed(1)) + ' ' + units[i];
+}
+
+/**
+ * Join a directory path and an entry name.
+ *
+ * @param {string} dir
+ * @param {string} name
+ * @returns {string}
+ */
+export function joinPath(dir, name) {
+    return (dir === '/' ? '' : dir) + '/' + name;
+}
+
+/**
+ * Return the parent directory of a path.
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+export function parentPath(path) {
+    var idx = path.lastIndexOf('/');
+    return idx <= 0 ? '/' : path.substring(0, idx);
+}
+
+/**
+ * List a directory of a redirected filesystem. Directories come first,
+ * then files, each sorted by name.
+ *
+ * @param {Guacamole.Object} filesystem
+ * @param {string} path - Absolute directory path, e.g. "/"
+ * @returns {Promise<object[]>} Entries of { name, path, isDirectory }
+ */
+export function listDirectory(filesystem, path) {
+    return new Promise(function(resolve, reject) {
+        var listing = null;
+        var stalled = false;
+        var stall = stallTimer(function() {
+            stalled = true;
+            abortStream(listing);
+            reject(new Error('Listing ' + path + ' timed out'));
+        });
+
+        filesystem.requestInputStream(path, function(stream, mimetype) {
+            if (stalled) {
+                abortStream(stream);
+                return;
+            }
+            if (mimetype !== Guacamole.Object.STREAM_INDEX_MIMETYPE) {
+                stall.stop();
+                stream.sendAck('Unexpected mimetype', Guacamole.Status.Code.UNSUPPORTED);
+                reject(new Error(path + ' is not a directory'));
+                return;
+            }
+
+            listing = stream;
+            stall.touch();
+
+            var reader = new Guacamole.JSONReader(stream);
+            reader.onprogress = stall.touch;
+            reader.onend = function() {
+                stall.stop();
+
+                // A listing cut short is not valid JSON
+                var index;
+                try {
+                    index = reader.getJSON() || {};
+                } catch (e) {
+                    reject(new Error('The listing of ' + path + ' is incomplete'));
+                    return;
+                }
+
+                var entries = Object.keys(index).map(function(streamName) {
+                    return {
+                        name: streamName.substring(streamName.lastIndexOf('/') + 1),
+                        path: streamName,
+                        isDirectory: index[streamName] === Guacamole.Object.STREAM_INDEX_MIMETYPE
+                    };
+                });
+                entries.sort(function(a, b) {
+                    if (a.isDirectory !== b.isDirectory)
+                        return a.isDirectory ? -1 : 1;
+                    return a.name.localeCompare(b.name);
+                });
+                resolve(entries);
+            };
+
+            stream.sendAck('Ready', Guacamole.Status.Code.SUCCESS);
+        });
+    });
+}
+
+/**
+ * Offer a blob to the user as a browser download.
+ *
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function saveBlob(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+}
+
+/**
+ * Read an incoming file stream to completion and save it in the
+ * browser. Usable directly as the body of a client.onfile handler.
+ *
+ * @param {Guacamole.InputStream} stream
+ * @param {string} mimetype
+ * @param {string} filename
+ * @param {function} [progressCallback]
+ * @returns {Promise<Blob>}
+ */
+export function receiveFile(stream, mimetype, filename, progressCallback) {
+    return new Promise(function(resolve, reject) {
+        var reader = new Guacamole.BlobReader(stream, mimetype || DEFAULT_MIMETYPE);
+        var stalled = false;
+        var stall = stallTimer(function() {
+            stalled = true;
+            abortStream(stream);
+            reject(new Error(filename + ' stopped arriving'));
+        });
+
+        reader.onprogress = function() {
+            stall.touch();
+            if (progressCallback) {
+                progressCallback(reader.getLength(), null);
+            }
+        };
+
+        reader.onend = function() {
+            stall.stop();
+            if (stalled)
+                return;
+
+            var blob = reader.getBlob();
+            saveBlob(blob, filename);
+            resolve(blob);
+        };
+
+        stream.sendAck('Ready', Guacamole.Status.Code.SUCCESS);
+    });
+}
+
+/**
+ * Download a file from a redirected filesystem.
+ *
+ * @param {Guacamole.Object} filesystem
+ * @param {string} path - Absolute file path
+ * @param {function} [progressCallback]
+ * @returns {Promise<Blob>}
+ */
+export function downloadFile(filesystem, path, progressCallback) {
+    var filename = path.substring(path.lastIndexOf('/') + 1);
+
+    return new Promise(function(resolve, reject) {
+        // receiveFile() watches the stream once guacd opens it
+        var stalled = false;
+        var stall = stallTimer(function() {
+            stalled = true;
+            reject(new Error(filename + ' could not be opened'));
+        });
+
+        filesystem.requestInputStream(path, function(stream, mimetype) {
+            stall.stop();
+            if (stalled) {
+                abortStream(stream);
+                return;
+            }
+            if (mimetype === Guacamole.Object.STREAM_INDEX_MIMETYPE) {
+                stream.sendAck('Directories cannot be downloaded', Guacamole.Status.Code.UNSUPPORTED);
+                reject(new Error(filename + ' is a directory'));
+                return;
+            }
+            receiveFile(stream, mimetype, filename, progressCallback).then(resolve, reject);
+        });
+    });
+}
+
+/**
+ * Upload a browser File. With a filesystem the file is written into the
+ * given directory; without one it is sent as a plain file stream and
+ * guacd places it in the default upload location of the drive.
+ *
+ * @param {Guacamole.Client} client
+ * @param {Guacamole.Object|null} filesystem
+ * @param {string} dir - Destination directory when using a filesystem
+ * @param {File} file
+ * @param {function} [progressCallback]
+ * @returns {Promise}
+ */
+export function uploadFile(client, filesystem, dir, file, progressCallback) {
+    var mimetype = file.type || DEFAULT_MIMETYPE;
+    var stream = filesystem
+        ? filesystem.createOutputStream(mimetype, joinPath(dir, file.name))
+        : client.createFileStream(mimetype, file.name);
+
+    return new Promise(function(resolve, reject) {
+        var writer = new Guacamole.BlobWriter(stream);
+        var started = false;
+
+        writer.onack = function(status) {
+            if (status.isError()) {
+                reject(new Error(status.message || 'Upload rejected (code: 0x' + status.code.toString(16) + ')'));
+                return;
+            }
+
+            // The first acknowledgement means guacd accepted the stream
+            if (!started) {
+                started = true;
+                writer.sendBlob(file);
+            }
+        };
+
+        writer.onprogress = function(blob, offset) {
+            if (progressCallback) {
+                progressCallback(offset, file.size);
+            }
+        };
+
+        writer.oncomplete = function() {
+            writer.sendEnd();
+            resolve();
+        };
+
+        writer.onerror = function(blob, offset, error) {
+            writer.sendEnd();
+            reject(error || new Error('Could not read ' + file.name));
+        };
+    });
+}
@@ -1,32 +1,242 @@
 import Guacamole from 'guacamole-common-js';
 import { CockpitTunnel } from './cockpit-tunnel.js';
 import { installServicePackages } from './package-install.js';
+import { prepareAudio, createAudioPlayer, setVolume, setMuted, isMuted, startMicrophone } from './audio.js';
+import {
+    formatBytes, parentPath, listDirectory, receiveFile, downloadFile, uploadFile
+} from './file-transfer.js';
+import {
+    sameEntry, readClipboardStream, sendClipboardEntry,
+    readLocalClipboard, writeLocalClipboard, blobToDataURL
+} from './clipboard.js';
+import {
+    PROFILE_DEFAULTS, normalizeProfile, loadProfiles, saveProfiles,
+    cloneProfile, exportProfiles, importProfiles,
+    isValidHost, loadRecentHosts, addRecentHost, loadMacros, saveMacros,
+    GUACD_DEFAULTS, loadGuacdEndpoint, saveGuacdEndpoint
+} from './profiles.js';
+import { BUILTIN_COMBOS, parseKeySequence, sendKeySequence } from './keys.js';
+import { OSK_LAYOUTS, DEFAULT_OSK_LAYOUT } from './osk-layouts.js';
+import { TOUCH_MODES, hasTouchScreen, TouchInput } from './touch.js';
+import { joinLink, joinOptions, parseJoinTarget } from './sharing.js';
+import {
+    XRDP_INI, SESMAN_INI, GUACD_CONF, CONFIG_GROUPS, CONFIG_FIELDS, parseConfigFile, readConfigValues,
+    validateConfigValues, applyConfigValues, getXrdpPort, setXrdpPort,
+    getMaxDisconnectionTime, setMaxDisconnectionTime, CONFIG_FILE_UNITS
+} from './xrdp-config.js';
+import { unifiedDiff } from './diff.js';
+import { readConfigFile, writeConfigFile, listConfigBackups, readConfigBackup } from './config-files.js';
+import { restartServices, checkServiceHealth } from './service-health.js';
+import { ServiceMonitor } from './service-monitor.js';
+import { LOG_UNITS, LOG_PRIORITIES, LogStream } from './logs.js';
+import { diagnoseError, preflightChecks, runDiagnosticChecks } from './diagnostics.js';
+import {
+    recordingName, formatDuration, listRecordings, readRecording,
+    deleteRecording, RecordingPlayer
+} from './recordings.js';
 import './style.scss';
 
 // DOM references
 var connectBtn = document.getElementById('connect-btn');
 var disconnectBtn = document.getElementById('disconnect-btn');
 var fullscreenBtn = document.getElementById('fullscreen-btn');
+var audioControls = document.getElementById('audio-controls');
+var muteBtn = document.getElementById('mute-btn');
+var muteIcon = document.getElementById('mute-icon');
+var volumeSlider = document.getElementById('volume-slider');
+var micIndicator = document.getElementById('mic-indicator');
 var displayWrapper = document.getElementById('display-wrapper');
 var displayContainer = document.getElementById('display-container');
 var connectionPanel = document.getElementById('connection-panel');
+var touchModeSelect = document.getElementById('touch-mode');
+var viewBtn = document.getElementById('view-btn');
+var viewMenu = document.getElementById('view-menu');
+var scaleModeSelect = document.getElementById('scale-mode');
+var scaleCustomGroup = document.getElementById('scale-custom-group');
+var scaleCustomInput = document.getElementById('scale-custom');
+var lockResolutionInput = document.getElementById('lock-resolution');
+var lockResolutionSelect = document.getElementById('lock-resolution-size');
+var statsBtn = document.getElementById('stats-btn');
+var statsOverlay = document.getElementById('stats-overlay');
+var statsRtt = document.getElementById('stats-rtt');
+var statsIn = document.getElementById('stats-in');
+var statsOut = document.getElementById('stats-out');
+var statsFps = document.getElementById('stats-fps');
+var statsLag = document.getElementById('stats-lag');
+var unstableBadge = document.getElementById('unstable-badge');
+var readOnlyBanner = document.getElementById('read-only-banner');
+var reconnectOverlay = document.getElementById('reconnect-overlay');
+var reconnectMessage = document.getElementById('reconnect-message');
+var reconnectReason = document.getElementById('reconnect-reason');
+var reconnectCancelBtn = document.getElementById('reconnect-cancel-btn');
 var errorMessage = document.getElementById('error-message');
+var hostnameInput = document.getElementById('hostname');
+var recentHostsList = document.getElementById('recent-hosts');
 var usernameInput = document.getElementById('username');
 var passwordInput = document.getElementById('password');
 var portInput = document.getElementById('port');
+var protocolSelect = document.getElementById('protocol');
+var profileNameInput = document.getElementById('profile-name');
+var connectionFormTitle = document.getElementById('connection-form-title');
+var colorDepthGroup = document.getElementById('color-depth-group');
+var colorDepthSelect = document.getElementById('color-depth');
+var disableCopyInput = document.getElementById('disable-copy');
+var disablePasteInput = document.getElementById('disable-paste');
+var readOnlyInput = document.getElementById('read-only');
+var recordSessionInput = document.getElementById('record-session');
+var recordingOptions = document.getElementById('recording-options');
+var recordingPathInput = document.getElementById('recording-path');
+var recordingIncludeKeysInput = document.getElementById('recording-include-keys');
+var rdpOptions = document.getElementById('rdp-options');
+var rdpDomainInput = document.getElementById('rdp-domain');
+var rdpSecuritySelect = document.getElementById('rdp-security');
+var rdpResizeMethodSelect = document.getElementById('rdp-resize-method');
+var rdpIgnoreCertInput = document.getElementById('rdp-ignore-cert');
+var rdpFontSmoothingInput = document.getElementById('rdp-font-smoothing');
+var rdpPlayAudioInput = document.getElementById('rdp-play-audio');
+var rdpAudioInputInput = document.getElementById('rdp-audio-input');
+var rdpEnableTouchInput = document.getElementById('rdp-enable-touch');
+var rdpEnableDriveInput = document.getElementById('rdp-enable-drive');
+var rdpDriveOptions = document.getElementById('rdp-drive-options');
+var rdpDrivePathInput = document.getElementById('rdp-drive-path');
+var rdpDisableDownloadInput = document.getElementById('rdp-disable-download');
+var rdpDisableUploadInput = document.getElementById('rdp-disable-upload');
+
+// Advanced RDP options, keyed by profile field. Checkboxes map to
+// boolean fields, everything else to string fields.
+var rdpAdvancedInputs = {
+    enableWallpaper: document.getElementById('rdp-enable-wallpaper'),
+    enableTheming: document.getElementById('rdp-enable-theming'),
+    enableDesktopComposition: document.getElementById('rdp-enable-desktop-composition'),
+    enableFullWindowDrag: document.getElementById('rdp-enable-full-window-drag'),
+    enableMenuAnimations: document.getElementById('rdp-enable-menu-animations'),
+    disableBitmapCaching: document.getElementById('rdp-disable-bitmap-caching'),
+    disableOffscreenCaching: document.getElementById('rdp-disable-offscreen-caching'),
+    disableGlyphCaching: document.getElementById('rdp-disable-glyph-caching'),
+    forceLossless: document.getElementById('rdp-force-lossless'),
+    serverLayout: document.getElementById('rdp-server-layout'),
+    timezone: document.getElementById('rdp-timezone'),
+    initialProgram: document.getElementById('rdp-initial-program'),
+    normalizeClipboard: document.getElementById('rdp-normalize-clipboard'),
+    console: document.getElementById('rdp-console')
+};
+var vncOptions = document.getElementById('vnc-options');
+var vncCursorSelect = document.getElementById('vnc-cursor');
+var vncEncodingsInput = document.getElementById('vnc-encodings');
+var sshOptions = document.getElementById('ssh-options');
+var sshPrivateKeyInput = document.getElementById('ssh-private-key');
+var sshPassphraseInput = document.getElementById('ssh-passphrase');
+var sshHostKeyInput = document.getElementById('ssh-host-key');
+var sshFontNameInput = document.getElementById('ssh-font-name');
+var sshFontSizeInput = document.getElementById('ssh-font-size');
+var sshColorSchemeSelect = document.getElementById('ssh-color-scheme');
+var sshScrollbackInput = document.getElementById('ssh-scrollback');
+var sshTerminalTypeSelect = document.getElementById('ssh-terminal-type');
 var guacdStatusEl = document.getElementById('guacd-status');
 var xrdpStatusEl = document.getElementById('xrdp-status');
 var guacdToggleBtn = document.getElementById('guacd-toggle');
 var xrdpToggleBtn = document.getElementById('xrdp-toggle');
 var guacdInstallBtn = document.getElementById('guacd-install');
 var xrdpInstallBtn = document.getElementById('xrdp-install');
+var guacdToggleIcon = document.getElementById('guacd-toggle-icon');
+var xrdpToggleIcon = document.getElementById('xrdp-toggle-icon');
+var serviceAlerts = document.getElementById('service-alerts');
+
+// File panel DOM references
+var filesBtn = document.getElementById('files-btn');
+var filePanel = document.getElementById('file-panel');
+var filePanelTitle = document.getElementById('file-panel-title');
+var filePanelClose = document.getElementById('file-panel-close');
+var filePanelError = document.getElementById('file-panel-error');
+var fileUpBtn = document.getElementById('file-up-btn');
+var filePathEl = document.getElementById('file-path');
+var fileRefreshBtn = document.getElementById('file-refresh-btn');
+var fileUploadBtn = document.getElementById('file-upload-btn');
+var fileUploadInput = document.getElementById('file-upload-input');
+var fileList = document.getElementById('file-list');
+var transferList = document.getElementById('transfer-list');
+
+// Profile DOM references
+var profileList = document.getElementById('profile-list');
+var profileEmpty = document.getElementById('profile-empty');
+var profileError = document.getElementById('profile-error');
+var profileNewBtn = document.getElementById('profile-new-btn');
+var profileImportBtn = document.getElementById('profile-import-btn');
+var profileExportBtn = document.getElementById('profile-export-btn');
+var profileImportFile = document.getElementById('profile-import-file');
+var profileSaveBtn = document.getElementById('profile-save-btn');
+var preflightBtn = document.getElementById('preflight-btn');
+
+// Confirm dialog DOM references
+var confirmDialog = document.getElementById('confirm-dialog');
+var confirmDialogTitle = document.getElementById('confirm-dialog-title');
+var confirmDialogMessage = document.getElementById('confirm-dialog-message');
+var confirmDialogCancel = document.getElementById('confirm-dialog-cancel');
+var confirmDialogOk = document.getElementById('confirm-dialog-ok');
+
+// Clipboard panel DOM references
+var clipboardBtn = document.getElementById('clipboard-btn');
+var clipboardPanel = document.getElementById('clipboard-panel');
+var clipboardPanelClose = document.getElementById('clipboard-panel-close');
+var clipboardRemoteEmpty = document.getElementById('clipboard-remote-empty');
+var clipboardRemoteText = document.getElementById('clipboard-remote-text');
+var clipboardRemoteImage = document.getElementById('clipboard-remote-image');
+var clipboardCopyBtn = document.getElementById('clipboard-copy-btn');
+var clipboardCopyBlocked = document.getElementById('clipboard-copy-blocked');
+var clipboardLocalText = document.getElementById('clipboard-local-text');
+var clipboardSendBtn = document.getElementById('clipboard-send-btn');
+var clipboardPasteBtn = document.getElementById('clipboard-paste-btn');
+var clipboardError = document.getElementById('clipboard-error');
+
+// Key menu, on-screen keyboard and macro editor DOM references
+var keysBtn = document.getElementById('keys-btn');
+var keysMenu = document.getElementById('keys-menu');
+var oskBtn = document.getElementById('osk-btn');
+var oskPanel = document.getElementById('osk-panel');
+var oskLayoutSelect = document.getElementById('osk-layout');
+var oskClose = document.getElementById('osk-close');
+var oskContainer = document.getElementById('osk-container');
+var macrosDialog = document.getElementById('macros-dialog');
+var macrosList = document.getElementById('macros-list');
+var macrosAddBtn = document.getElementById('macros-add-btn');
+var macrosError = document.getElementById('macros-error');
+var macrosCancel = document.getElementById('macros-cancel');
+var macrosSave = document.getElementById('macros-save');
+
+// Recordings dialog DOM references
+var recordingsBtn = document.getElementById('recordings-btn');
+var recordingsDialog = document.getElementById('recordings-dialog');
+var recordingsDirInput = document.getElementById('recordings-dir');
+var recordingsRefreshBtn = document.getElementById('recordings-refresh-btn');
+var recordingsList = document.getElementById('recordings-list');
+var recordingsError = document.getElementById('recordings-error');
+var recordingsClose = document.getElementById('recordings-close');
+var recordingDisplay = document.getElementById('recording-display');
+var recordingPlaceholder = document.getElementById('recording-placeholder');
+var recordingPlayBtn = document.getElementById('recording-play-btn');
+var recordingPlayIcon = document.getElementById('recording-play-icon');
+var recordingSeek = document.getElementById('recording-seek');
+var recordingTime = document.getElementById('recording-time');
+var recordingSpeedSelect = document.getElementById('recording-speed');
 
-// Paste dialog DOM references
-var pasteBtn = document.getElementById('paste-btn');
-var pasteDialog = document.getElementById('paste-dialog');
-var pasteText = document.getElementById('paste-text');
-var pasteDialogCancel = document.getElementById('paste-dialog-cancel');
-var pasteDialogSend = document.getElementById('paste-dialog-send');
+// Service logs dialog DOM references
+var logsBtn = document.getElementById('logs-btn');
+var logsDialog = document.getElementById('logs-dialog');
+var logsUnits = document.getElementById('logs-units');
+var logsPriority = document.getElementById('logs-priority');
+var logsSearch = document.getElementById('logs-search');
+var logsList = document.getElementById('logs-list');
+var logsSummary = document.getElementById('logs-summary');
+var logsError = document.getElementById('logs-error');
+var logsClose = document.getElementById('logs-close');
+
+// Preflight dialog DOM references
+var preflightDialog = document.getElementById('preflight-dialog');
+var preflightMessage = document.getElementById('preflight-message');
+var preflightList = document.getElementById('preflight-list');
+var preflightCancel = document.getElementById('preflight-cancel');
+var preflightRecheck = document.getElementById('preflight-recheck');
+var preflightConnect = document.getElementById('preflight-connect');
 
 // Install dialog DOM references
 var installDialog = document.getElementById('install-dialog');
@@ -56,95 +266,349 @@ var configMaxDisconnectTime = document.getElementById('config-max-disconnect-tim
 var configDisconnectStatus = document.getElementById('config-disconnect-status');
 var configXrdpPort = document.getElementById('config-xrdp-port');
 var configXrdpPortStatus = document.getElementById('config-xrdp-port-status');
+var configGuacdHost = document.getElementById('config-guacd-host');
+var configGuacdPort = document.getElementById('config-guacd-port');
+var configGuacdTls = document.getElementById('config-guacd-tls');
+var configGuacdCa = document.getElementById('config-guacd-ca');
+var configGuacdEndpointStatus = document.getElementById('config-guacd-endpoint-status');
+var configGuacdHostStatus = document.getElementById('config-guacd-host-status');
+var configGuacdPortStatus = document.getElementById('config-guacd-port-status');
+var configGuacdCaStatus = document.getElementById('config-guacd-ca-status');
+var configFields = document.getElementById('config-fields');
+var configureReview = document.getElementById('configure-review');
+var configureDiff = document.getElementById('configure-diff');
+var configureBack = document.getElementById('configure-back');
+var configureReviewDescription = document.getElementById('configure-review-description');
+var configureHistory = document.getElementById('configure-history');
+var configureHistoryList = document.getElementById('configure-history-list');
+var configureHistoryBtn = document.getElementById('configure-history-btn');
+var configRestart = document.getElementById('config-restart');
+var configRestartMessage = document.getElementById('config-restart-message');
+var configRestartBtn = document.getElementById('config-restart-btn');
+var configRestartStatus = document.getElementById('config-restart-status');
+var configRestartJournal = document.getElementById('config-restart-journal');
+
+// Session tab DOM references
+var sessionTabs = document.getElementById('session-tabs');
+var sessionTabList = document.getElementById('session-tab-list');
+var sessionNewBtn = document.getElementById('session-new-btn');
+
+// Session sharing DOM references
+var shareBtn = document.getElementById('share-btn');
+var shareDialog = document.getElementById('share-dialog');
+var shareConnectionId = document.getElementById('share-connection-id');
+var shareCopyId = document.getElementById('share-copy-id');
+var shareLinkInput = document.getElementById('share-link');
+var shareCopyLink = document.getElementById('share-copy-link');
+var shareReadOnlyInput = document.getElementById('share-read-only');
+var shareClose = document.getElementById('share-close');
+var joinIdInput = document.getElementById('join-id');
+var joinReadOnlyInput = document.getElementById('join-read-only');
+var joinBtn = document.getElementById('join-btn');
+
+// Open sessions in tab order, and the one shown in the display area
+// (null while the connection form is shown)
+var sessions = [];
+var activeSession = null;
+
+// Keyboard input — attached to the display container (tabindex="0") so
+// it only captures keys when the display area is focused, and routed to
+// the active session
+var keyboard = new Guacamole.Keyboard(displayContainer);
+
+// Tab thumbnails of every session are refreshed at this interval
+// (milliseconds) and drawn at this size (pixels)
+var THUMBNAIL_INTERVAL = 2000;
+var THUMBNAIL_WIDTH = 128;
+var THUMBNAIL_HEIGHT = 72;
+
+var thumbnailTimer = null;
+
+// Display scaling: 'fit' (shrink to the window, never enlarge), 'fill'
+// (shrink or enlarge to the window), '100', '200' or 'custom'
+var scaleMode = 'fit';
+var customScale = 1.5;
 
-var client = null;
-var tunnel = null;
-var keyboard = null;
-var mouse = null;
+// Remote resolution while locked, otherwise null and the remote display
+// follows the size of the window
+var lockedResolution = null;
 
-// Track current service states: 'active', 'inactive', 'not-installed'
+// Upper limit of the local zoom applied on top of the display scale by
+// pinching
+var MAX_TOUCH_ZOOM = 4;
+
+// Default ports for each supported protocol
+var DEFAULT_PORTS = {
+    rdp: 3389,
+    vnc: 5900,
+    ssh: 22
+};
+
+// Automatic reconnect after a dropped session: the delay doubles with
+// every attempt, starting at RECONNECT_BASE_DELAY and capped at
+// RECONNECT_MAX_DELAY (milliseconds)
+var RECONNECT_BASE_DELAY = 1000;
+var RECONNECT_MAX_DELAY = 30000;
+var RECONNECT_MAX_ATTEMPTS = 10;
+
+// Failures worth retrying: lost tunnels, guacd errors and an unreachable
+// or timed-out remote desktop server
+var RECONNECT_CODES = [
+    Guacamole.Status.Code.SERVER_ERROR,
+    Guacamole.Status.Code.UPSTREAM_TIMEOUT,
+    Guacamole.Status.Code.UPSTREAM_ERROR,
+    Guacamole.Status.Code.UPSTREAM_UNAVAILABLE
+];
+
+// Window over which display frame rates are measured, and the refresh
+// interval of the statistics overlay (milliseconds)
+var STATS_INTERVAL = 1000;
+
+var statsTimer = null;
+var lastTraffic = null;
+
+// Port of the xrdp daemon as last read from (or written to) xrdp.ini
+var xrdpPort = DEFAULT_PORTS.rdp;
+
+// Where guacd is reached, as stored for the user
+var guacdEndpoint = Object.assign({}, GUACD_DEFAULTS);
+
+// Contents of xrdp.ini, sesman.ini and guacd.conf as loaded by the
+// Configure dialog (null if unreadable or missing) and their
+// cockpit.file() tags, the settings read from them, and the file changes
+// awaiting confirmation in the dialog's review step
+var configTexts = { xrdp: null, sesman: null, guacd: null };
+var configTags = { xrdp: null, sesman: null, guacd: null };
+var configValues = {};
+var pendingConfigChanges = null;
+
+// systemd units still to be restarted for written changes to take effect
+var configRestartUnits = [];
+
+// Track current service states: 'active', 'inactive', 'not-installed',
+// 'unknown'
 var serviceStates = {
     guacd: null,
     xrdp: null
 };
 
+// Toolbar controls of each service. xrdp-sesman has none of its own; its
+// state is shown on the xrdp control, which needs it to accept logins.
+var SERVICE_CONTROLS = {
+    guacd: { status: guacdStatusEl, toggle: guacdToggleBtn, icon: guacdToggleIcon, install: guacdInstallBtn },
+    xrdp: { status: xrdpStatusEl, toggle: xrdpToggleBtn, icon: xrdpToggleIcon, install: xrdpInstallBtn }
+};
+var SERVICE_COMPANIONS = { xrdp: 'xrdp-sesman' };
+
+// Readable forms of systemd's service Result values
+var SERVICE_RESULTS = {
+    'exit-code': 'exited with an error',
+    'signal': 'was killed by a signal',
+    'core-dump': 'crashed',
+    'timeout': 'timed out',
+    'watchdog': 'stopped responding',
+    'start-limit-hit': 'was restarted too often',
+    'resources': 'ran out of resources'
+};
+
+// Live state of the services, following systemd over D-Bus
+var serviceMonitor = null;
+
+// Failures dismissed from the alerts, keyed by unit, as their start times
+var dismissedFailures = {};
+
+// Errors of starting or stopping a service from the toolbar, keyed by
+// unit, shown with the alerts until dismissed
+var serviceErrors = {};
+
 // ── Service management ──────────────────────────────────────────────
 
-function checkServiceStatus(serviceName, statusEl, toggleBtn, installBtn) {
-    cockpit.spawn(['systemctl', 'show', serviceName, '--property=LoadState,ActiveState'])
-        .then(function(output) {
-            var props = {};
-            output.trim().split('\n').forEach(function(line) {
-                var eq = line.indexOf('=');
-                if (eq !== -1)
-                    props[line.substring(0, eq)] = line.substring(eq + 1);
-            });
+/**
+ * Describe the state of a unit in one line, e.g. "xrdp: active (running)
+ * since 10/19/2026, 3:30:00 PM".
+ *
+ * @param {string} unit
+ * @param {object} state - From serviceMonitor.states
+ * @returns {string}
+ */
+function describeService(unit, state) {
+    if (state.loadState === 'not-found')
+        return unit + ': not installed';
+    if (state.loadState === 'unknown')
+        return unit + ': state could not be read';
 
-            if (props.LoadState === 'not-found') {
-                // Service unit not found — package not installed
-                statusEl.textContent = serviceName;
-                statusEl.className = 'status-indicator status-inactive';
-                toggleBtn.classList.add('hidden');
-                installBtn.classList.remove('hidden');
-                installBtn.disabled = false;
-                serviceStates[serviceName] = 'not-installed';
-            } else if (props.ActiveState === 'active') {
-                statusEl.textContent = serviceName;
-                statusEl.className = 'status-indicator status-active';
-                toggleBtn.innerHTML = '<span id="' + serviceName + '-status" class="status-indicator">' + serviceName + '</span><i class="fa-solid fa-stop" aria-hidden="true"></i>'
-                // toggleBtn.textContent = 'Stop';
-                toggleBtn.disabled = false;
-                toggleBtn.classList.remove('hidden');
-                installBtn.classList.add('hidden');
-                serviceStates[serviceName] = 'active';
-            } else {
-                statusEl.textContent = serviceName;
-                statusEl.className = 'status-indicator status-inactive';
-                toggleBtn.innerHTML = '<span id="' + serviceName + '-status" class="status-indicator">' + serviceName + '</span><i class="fa-solid fa-play" aria-hidden="true"></i>'
-                // toggleBtn.textContent = 'Start';
-                toggleBtn.disabled = false;
-                toggleBtn.classList.remove('hidden');
-                installBtn.classList.add('hidden');
-                serviceStates[serviceName] = 'inactive';
-            }
-        })
-        .catch(function() {
-            statusEl.textContent = serviceName + ': not installed';
-            statusEl.className = 'status-indicator status-inactive';
-            toggleBtn.classList.add('hidden');
-            installBtn.classList.remove('hidden');
-            installBtn.disabled = false;
-            serviceStates[serviceName] = 'not-installed';
+    var text = unit + ': ' + state.activeState + (state.subState ? ' (' + state.subState + ')' : '');
+    if (state.activeState === 'failed')
+        text += ', ' + (SERVICE_RESULTS[state.result] || state.result || 'failed');
+    if (state.lastStart)
+        text += (state.activeState === 'active' ? ' since ' : ', last started ') + state.lastStart.toLocaleString();
+    return text;
+}
+
+/**
+ * Update the toolbar control of a service from its tracked state.
+ *
+ * @param {string} serviceName - "guacd" or "xrdp"
+ */
+function renderServiceControl(serviceName) {
+    var control = SERVICE_CONTROLS[serviceName];
+    var state = serviceMonitor.states[serviceName];
+    if (!state)
+        return;
+
+    var companion = serviceMonitor.states[SERVICE_COMPANIONS[serviceName]];
+
+    control.status.textContent = serviceName;
+
+    if (state.loadState === 'not-found') {
+        // Service unit not found — package not installed
+        control.status.className = 'status-indicator status-inactive';
+        control.toggle.classList.add('hidden');
+        control.install.classList.remove('hidden');
+        control.install.disabled = false;
+        serviceStates[serviceName] = 'not-installed';
+        return;
+    }
+
+    if (state.loadState === 'unknown') {
+        // Neither installing nor toggling is safe without knowing which
+        // applies; the monitor reads the state again on the next change
+        // or daemon reload
+        control.status.className = 'status-indicator status-unknown';
+        control.icon.className = 'fa-solid fa-question';
+        control.toggle.title = describeService(serviceName, state);
+        control.toggle.disabled = true;
+        control.toggle.classList.remove('hidden');
+        control.install.classList.add('hidden');
+        serviceStates[serviceName] = 'unknown';
+        return;
+    }
+
+    var active = state.activeState === 'active';
+    var failed = state.activeState === 'failed' || (companion && companion.activeState === 'failed');
+    var changing = ['activating', 'deactivating', 'reloading'].indexOf(state.activeState) !== -1;
+
+    control.status.className = 'status-indicator ' +
+        (failed ? 'status-failed' : active ? 'status-active' : 'status-inactive');
+    control.icon.className = 'fa-solid ' + (changing ? 'fa-spinner fa-spin' : active ? 'fa-stop' : 'fa-play');
+    control.toggle.title = describeService(serviceName, state) +
+        (companion ? '\n' + describeService(SERVICE_COMPANIONS[serviceName], companion) : '');
+    control.toggle.disabled = changing;
+    control.toggle.classList.remove('hidden');
+    control.install.classList.add('hidden');
+    serviceStates[serviceName] = active ? 'active' : 'inactive';
+}
+
+/**
+ * Show an alert for every error of starting or stopping a service, and
+ * one with the journal tail for every failed unit, that has not been
+ * dismissed.
+ */
+function renderServiceAlerts() {
+    serviceAlerts.textContent = '';
+
+    Object.keys(serviceErrors).forEach(function(unit) {
+        var alert = document.createElement('div');
+        alert.className = 'service-alert';
+
+        var header = document.createElement('div');
+        header.className = 'service-alert-header';
+
+        var message = document.createElement('span');
+        message.textContent = serviceErrors[unit];
+
+        var dismiss = document.createElement('button');
+        dismiss.className = 'btn-small';
+        dismiss.textContent = 'Dismiss';
+        dismiss.addEventListener('click', function() {
+            delete serviceErrors[unit];
+            renderServiceAlerts();
+        });
+
+        header.appendChild(message);
+        header.appendChild(dismiss);
+        alert.appendChild(header);
+        serviceAlerts.appendChild(alert);
+    });
+
+    Object.keys(serviceMonitor.states).forEach(function(unit) {
+        var state = serviceMonitor.states[unit];
+        if (state.activeState !== 'failed' || dismissedFailures[unit] === String(state.lastStart))
+            return;
+
+        var alert = document.createElement('div');
+        alert.className = 'service-alert';
+
+        var header = document.createElement('div');
+        header.className = 'service-alert-header';
+
+        var message = document.createElement('span');
+        message.textContent = describeService(unit, state) + '.';
+
+        var dismiss = document.createElement('button');
+        dismiss.className = 'btn-small';
+        dismiss.textContent = 'Dismiss';
+        dismiss.addEventListener('click', function() {
+            dismissedFailures[unit] = String(state.lastStart);
+            renderServiceAlerts();
         });
+
+        header.appendChild(message);
+        header.appendChild(dismiss);
+        alert.appendChild(header);
+
+        var journal = document.createElement('pre');
+        journal.className = 'service-alert-journal';
+        journal.textContent = state.journal === null ? 'Reading journal\u2026' : (state.journal || 'No journal entries.');
+        alert.appendChild(journal);
+
+        serviceAlerts.appendChild(alert);
+    });
+
+    serviceAlerts.classList.toggle('hidden', !serviceAlerts.firstChild);
+}
+
+/**
+ * Re-render whatever shows the state of a unit that changed.
+ *
+ * @param {string} unit
+ */
+function handleServiceChange(unit) {
+    Object.keys(SERVICE_CONTROLS).forEach(function(serviceName) {
+        if (serviceName === unit || SERVICE_COMPANIONS[serviceName] === unit)
+            renderServiceControl(serviceName);
+    });
+    renderServiceAlerts();
 }
 
-function toggleService(serviceName, statusEl, toggleBtn, installBtn) {
+function toggleService(serviceName) {
+    var control = SERVICE_CONTROLS[serviceName];
     var action = serviceStates[serviceName] === 'active' ? 'stop' : 'start';
-    toggleBtn.disabled = true;
-    //toggleBtn.textContent = action === 'start' ? 'Starting...' : 'Stopping...';
-    toggleBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin" aria-hidden="true"></i>';
+    control.toggle.disabled = true;
+    control.icon.className = 'fa-solid fa-spinner fa-spin';
 
+    // The new state arrives through the service monitor; re-render in
+    // case nothing changed, e.g. when authentication was refused. The
+    // error goes with the service alerts, which stay in view alongside
+    // a remote session.
+    delete serviceErrors[serviceName];
+    renderServiceAlerts();
     cockpit.spawn(['systemctl', action, serviceName], { superuser: 'require', err: 'message' })
-        .then(function() {
-            checkServiceStatus(serviceName, statusEl, toggleBtn, installBtn);
-        })
         .catch(function(err) {
-            showError('Failed to ' + action + ' ' + serviceName + ': ' + (err.message || err));
-            checkServiceStatus(serviceName, statusEl, toggleBtn, installBtn);
+            serviceErrors[serviceName] = 'Failed to ' + action + ' ' + serviceName + ': ' + (err.message || err);
+            renderServiceAlerts();
+        })
+        .finally(function() {
+            renderServiceControl(serviceName);
         });
 }
 
-function checkAllServices() {
-    checkServiceStatus('guacd', guacdStatusEl, guacdToggleBtn, guacdInstallBtn);
-    checkServiceStatus('xrdp', xrdpStatusEl, xrdpToggleBtn, xrdpInstallBtn);
-}
-
 guacdToggleBtn.addEventListener('click', function() {
-    toggleService('guacd', guacdStatusEl, guacdToggleBtn, guacdInstallBtn);
+    toggleService('guacd');
 });
 
 xrdpToggleBtn.addEventListener('click', function() {
-    toggleService('xrdp', xrdpStatusEl, xrdpToggleBtn, xrdpInstallBtn);
+    toggleService('xrdp');
 });
 
 // ── Package installation ────────────────────────────────────────────
@@ -174,7 +638,7 @@ function showInstallDialog(serviceName) {
             installProgressBar.style.width = '100%';
         }
         installDialogClose.classList.remove('hidden');
-        checkAllServices();
+        serviceMonitor.refresh();
     })
     .catch(function(err) {
         installDialogMessage.textContent = 'Installation failed.';
@@ -198,259 +662,2751 @@ installDialogClose.addEventListener('click', function() {
 
 // ── Connection management ───────────────────────────────────────────
 
+/**
+ * Read the connection form into a profile-shaped object. Secrets are
+ * not included; doConnect() adds them from the form separately.
+ */
+function readConnectionForm() {
+    var protocol = protocolSelect.value;
+
+    var values = {
+        id: editingProfileId || '',
+        name: profileNameInput.value.trim(),
+        protocol: protocol,
+        hostname: hostnameInput.value.trim() || 'localhost',
+        port: parseInt(portInput.value) || DEFAULT_PORTS[protocol],
+        username: usernameInput.value.trim(),
+        domain: rdpDomainInput.value.trim(),
+        security: rdpSecuritySelect.value,
+        ignoreCert: rdpIgnoreCertInput.checked,
+        colorDepth: colorDepthSelect.value,
+        disableCopy: disableCopyInput.checked,
+        disablePaste: disablePasteInput.checked,
+        readOnly: readOnlyInput.checked,
+        resizeMethod: rdpResizeMethodSelect.value,
+        enableFontSmoothing: rdpFontSmoothingInput.checked,
+        disableAudio: !rdpPlayAudioInput.checked,
+        enableAudioInput: rdpAudioInputInput.checked,
+        enableTouch: rdpEnableTouchInput.checked,
+        enableDrive: rdpEnableDriveInput.checked,
+        drivePath: rdpDrivePathInput.value.trim() || PROFILE_DEFAULTS.drivePath,
+        disableDownload: rdpDisableDownloadInput.checked,
+        disableUpload: rdpDisableUploadInput.checked,
+        recordSession: recordSessionInput.checked,
+        recordingPath: recordingPathInput.value.trim() || PROFILE_DEFAULTS.recordingPath,
+        recordingIncludeKeys: recordingIncludeKeysInput.checked,
+        cursor: vncCursorSelect.value,
+        encodings: vncEncodingsInput.value.trim(),
+        hostKey: sshHostKeyInput.value.trim(),
+        fontName: sshFontNameInput.value.trim(),
+        fontSize: parseInt(sshFontSizeInput.value) || 0,
+        colorScheme: sshColorSchemeSelect.value,
+        scrollback: parseInt(sshScrollbackInput.value) || 0,
+        terminalType: sshTerminalTypeSelect.value
+    };
+
+    Object.keys(rdpAdvancedInputs).forEach(function(field) {
+        var input = rdpAdvancedInputs[field];
+        values[field] = input.type === 'checkbox' ? input.checked : input.value.trim();
+    });
+
+    return normalizeProfile(values);
+}
+
+/**
+ * Populate the connection form from a profile. Secret fields are
+ * cleared so credentials from a previous connection are not reused.
+ */
+function fillConnectionForm(profile) {
+    profileNameInput.value = profile.name;
+    protocolSelect.value = profile.protocol;
+    currentProtocol = profile.protocol;
+    hostnameInput.value = profile.hostname;
+    portInput.value = profile.port || (profile.protocol === 'rdp' ? xrdpPort : DEFAULT_PORTS[profile.protocol]);
+    usernameInput.value = profile.username;
+    passwordInput.value = '';
+    rdpDomainInput.value = profile.domain;
+    rdpSecuritySelect.value = profile.security;
+    rdpIgnoreCertInput.checked = profile.ignoreCert;
+    colorDepthSelect.value = profile.colorDepth;
+    disableCopyInput.checked = profile.disableCopy;
+    disablePasteInput.checked = profile.disablePaste;
+    readOnlyInput.checked = profile.readOnly;
+    rdpResizeMethodSelect.value = profile.resizeMethod;
+    rdpFontSmoothingInput.checked = profile.enableFontSmoothing;
+    rdpPlayAudioInput.checked = !profile.disableAudio;
+    rdpAudioInputInput.checked = profile.enableAudioInput;
+    rdpEnableTouchInput.checked = profile.enableTouch;
+    rdpEnableDriveInput.checked = profile.enableDrive;
+    rdpDriveOptions.classList.toggle('hidden', !profile.enableDrive);
+    rdpDrivePathInput.value = profile.drivePath;
+    rdpDisableDownloadInput.checked = profile.disableDownload;
+    rdpDisableUploadInput.checked = profile.disableUpload;
+    recordSessionInput.checked = profile.recordSession;
+    recordingOptions.classList.toggle('hidden', !profile.recordSession);
+    recordingPathInput.value = profile.recordingPath;
+    recordingIncludeKeysInput.checked = profile.recordingIncludeKeys;
+    vncCursorSelect.value = profile.cursor;
+    vncEncodingsInput.value = profile.encodings;
+    sshPrivateKeyInput.value = '';
+    sshPassphraseInput.value = '';
+    sshHostKeyInput.value = profile.hostKey;
+    sshFontNameInput.value = profile.fontName;
+    sshFontSizeInput.value = profile.fontSize;
+    sshColorSchemeSelect.value = profile.colorScheme;
+    sshScrollbackInput.value = profile.scrollback;
+    sshTerminalTypeSelect.value = profile.terminalType;
+    Object.keys(rdpAdvancedInputs).forEach(function(field) {
+        var input = rdpAdvancedInputs[field];
+        if (input.type === 'checkbox')
+            input.checked = profile[field];
+        else
+            input.value = profile[field];
+    });
+    showProtocolOptions(profile.protocol);
+}
+
+/**
+ * @returns {object} The connection settings saying where guacd is reached
+ */
+function guacdSettings() {
+    return {
+        guacdHost: guacdEndpoint.host,
+        guacdPort: guacdEndpoint.port,
+        guacdTls: guacdEndpoint.tls,
+        guacdCaFile: guacdEndpoint.caFile
+    };
+}
+
 function doConnect() {
-    var username = usernameInput.value.trim();
-    var password = passwordInput.value;
-    var port = parseInt(portInput.value) || 3389;
+    // Still checking the previous attempt
+    if (connectBtn.disabled) return;
+
+    var form = readConnectionForm();
+
+    if (!isValidHost(form.hostname)) {
+        showError('"' + form.hostname + '" is not a valid hostname or IP address.');
+        return;
+    }
+
+    if (form.port < 1 || form.port > 65535) {
+        showError('Port must be between 1 and 65535.');
+        return;
+    }
 
-    if (!username) {
+    // VNC servers usually authenticate with a password alone
+    if (!form.username && form.protocol === 'rdp') {
         showError('Username is required.');
         return;
     }
 
     hideError();
 
-    // Compute display dimensions from the container
-    var containerWidth = displayContainer.clientWidth || window.innerWidth;
-    var containerHeight = displayContainer.clientHeight || (window.innerHeight - 100);
-
-    var settings = {
-        protocol: 'rdp',
-        hostname: 'localhost',
-        port: port,
-        username: username,
-        password: password,
-        guacdPort: 4822,
+    // Initial display dimensions; startSession() uses the size of the
+    // display area instead once it is shown, unless the size is locked
+    var containerWidth = lockedResolution ? lockedResolution.width : window.innerWidth;
+    var containerHeight = lockedResolution ? lockedResolution.height : window.innerHeight - 100;
+
+    var settings = Object.assign(form, {
+        password: passwordInput.value,
+        privateKey: sshPrivateKeyInput.value.trim(),
+        passphrase: sshPassphraseInput.value,
         width: containerWidth,
         height: containerHeight,
         dpi: window.devicePixelRatio ? Math.round(96 * window.devicePixelRatio) : 96,
-        security: 'any',
-        ignoreCert: true,
-        enableFontSmoothing: true,
-        resizeMethod: 'display-update'
-    };
+        recordingName: recordingName(form.name || form.hostname)
+    }, guacdSettings());
+
+    // Audio only carries over RDP
+    if (settings.protocol !== 'rdp') {
+        settings.disableAudio = true;
+        settings.enableAudioInput = false;
+    }
+
+    // Unlock audio output while we are still handling the user's click
+    if (!settings.disableAudio)
+        prepareAudio();
+
+    // File transfer needs RDP drive redirection
+    if (settings.protocol !== 'rdp')
+        settings.enableDrive = false;
+
+    checkBeforeConnect(settings).then(function(proceed) {
+        if (proceed)
+            openSession(settings);
+    });
+}
+
+/**
+ * Open a new tab for the given settings, show it and connect.
+ */
+function openSession(settings) {
+    var session = createSession(settings);
+    activateSession(session);
+    startSession(session);
+}
+
+/**
+ * Open a tunnel and client for a session. Used both for new connections
+ * and for automatic reconnects, in which case the last frame of the lost
+ * connection stays visible until the new one connects.
+ */
+function startSession(session) {
+    var settings = session.settings;
+    var reconnecting = session.reconnectAttempt > 0;
+
+    // Follow the size of the display area, which may also have changed
+    // since the last attempt, unless the resolution is locked
+    if (!lockedResolution) {
+        settings.width = displayContainer.clientWidth || settings.width;
+        settings.height = displayContainer.clientHeight || settings.height;
+    }
 
     // Create tunnel
-    tunnel = new CockpitTunnel();
-    tunnel.setConnectionSettings(settings);
+    var sessionTunnel = session.tunnel = new CockpitTunnel();
+    sessionTunnel.setConnectionSettings(settings);
 
     // Create client
-    client = new Guacamole.Client(tunnel);
+    var sessionClient = session.client = new Guacamole.Client(sessionTunnel);
+    var connected = false;
+
+    // State change handler. Events from a client that has since been
+    // replaced or closed are ignored.
+    sessionClient.onstatechange = function(state) {
+        if (session.client !== sessionClient) return;
 
-    // State change handler
-    client.onstatechange = function(state) {
         switch (state) {
-            case Guacamole.Client.State.IDLE:
-                setUIState('disconnected');
-                break;
             case Guacamole.Client.State.CONNECTING:
             case Guacamole.Client.State.WAITING:
-                setUIState('connecting');
+                setSessionState(session, 'connecting');
                 break;
             case Guacamole.Client.State.CONNECTED:
-                setUIState('connected');
+                connected = true;
+                if (reconnecting)
+                    attachDisplay(session);
+                cancelReconnect(session);
+                setSessionState(session, 'connected');
+                if (!settings.join)
+                    rememberHost(settings.hostname);
+                if (settings.enableAudioInput)
+                    startMicrophoneForwarding(session);
                 break;
             case Guacamole.Client.State.DISCONNECTING:
             case Guacamole.Client.State.DISCONNECTED:
-                setUIState('disconnected');
+                disconnectSession(session);
                 break;
         }
     };
 
-    // Error handler
-    client.onerror = function(status) {
-        showError('Connection error: ' + (status.message || 'Unknown error') +
-                  ' (code: 0x' + status.code.toString(16) + ')');
+    // Errors reported by guacd
+    sessionClient.onerror = function(status) {
+        if (session.client !== sessionClient) return;
+        sessionLost(session, status, connected);
+    };
+
+    // Errors of the tunnel itself (receive timeout, lost channel)
+    sessionTunnel.onerror = function(status) {
+        if (session.tunnel !== sessionTunnel) return;
+        sessionLost(session, status, connected);
+    };
+
+    // guacd's ID of the connection, which others can join
+    sessionTunnel.onuuid = function(uuid) {
+        if (session.tunnel !== sessionTunnel) return;
+        session.connectionId = uuid;
+        if (session === activeSession)
+            renderSessionToolbar();
+    };
+
+    // Flag a connection that has stopped receiving data
+    sessionTunnel.onstatechange = function(state) {
+        if (session.tunnel !== sessionTunnel) return;
+        session.unstable = state === Guacamole.Tunnel.State.UNSTABLE;
+        if (session === activeSession)
+            renderSessionToolbar();
+    };
+
+    // Frame rate statistics for the statistics overlay
+    var sessionDisplay = sessionClient.getDisplay();
+    sessionDisplay.statisticWindow = STATS_INTERVAL;
+    sessionDisplay.onstatistics = function(stats) {
+        if (session.client === sessionClient)
+            session.displayStats = stats;
+    };
+
+    // The remote desktop accepts touch input (RDP with enable-touch)
+    sessionClient.onmultitouch = function(layer, touches) {
+        if (session.client !== sessionClient) return;
+        session.multitouch = touches > 0;
+        if (session === activeSession)
+            renderSessionToolbar();
+    };
+
+    // Remote audio playback
+    sessionClient.onaudio = createAudioPlayer;
+
+    // Redirected drive, browsable from the file panel
+    sessionClient.onfilesystem = function(object, name) {
+        session.filesystem = object;
+        session.filesystemName = name || 'Shared Drive';
+        session.currentPath = '/';
+        if (session === activeSession)
+            renderFilePanel();
+    };
+
+    // Remote clipboard changes
+    sessionClient.onclipboard = function(stream, mimetype) {
+        handleRemoteClipboard(session, stream, mimetype);
+    };
+
+    // Files pushed from the remote side (e.g. the drive's Download folder)
+    sessionClient.onfile = function(stream, mimetype, filename) {
+        var transfer = addTransfer(filename);
+        receiveFile(stream, mimetype, filename, transfer.progress)
+            .then(function() { transfer.finish(); })
+            .catch(transfer.finish);
     };
 
-    // Get display and attach to container
-    var display = client.getDisplay();
+    if (!reconnecting)
+        attachDisplay(session);
+
+    setSessionState(session, 'connecting');
+
+    // Connect
+    sessionClient.connect('');
+}
+
+/**
+ * Show the display of a session's client, replacing that of an earlier
+ * connection attempt, and route mouse and touch input to it.
+ */
+function attachDisplay(session) {
+    var guacClient = session.client;
+    var display = guacClient.getDisplay();
     var displayElement = display.getElement();
-    displayContainer.innerHTML = '';
+
+    if (session.displayElement)
+        session.displayElement.remove();
+    session.displayElement = displayElement;
+    displayElement.classList.toggle('hidden', session !== activeSession);
     displayContainer.appendChild(displayElement);
 
     // Mouse input — attach to the display element
-    mouse = new Guacamole.Mouse(displayElement);
+    session.mouse = new Guacamole.Mouse(displayElement);
 
-    mouse.onEach(['mousedown', 'mousemove', 'mouseup'], function(e) {
-        client.sendMouseState(e.state, true);
+    session.mouse.onEach(['mousedown', 'mousemove', 'mouseup'], function(e) {
+        if (!session.settings.readOnly)
+            guacClient.sendMouseState(e.state, true);
     });
 
-    // Keyboard input — attach to the display container (tabindex="0")
-    // so it only captures keys when the display area is focused
-    keyboard = new Guacamole.Keyboard(displayContainer);
+    // Touch input, with pinch-to-zoom and two-finger panning, which stay
+    // available in read-only mode as they only change the local view
+    session.touchInput = new TouchInput(guacClient, displayElement, touchModeSelect.value);
+    session.touchInput.readOnly = session.settings.readOnly;
+    session.touchInput.onzoom = function(ratio, x, y) {
+        zoomDisplay(session, session.touchZoom * ratio, x, y);
+    };
+    session.touchInput.onpan = function(dx, dy) {
+        displayContainer.scrollLeft -= dx;
+        displayContainer.scrollTop -= dy;
+    };
 
-    keyboard.onkeydown = function(keysym) {
-        client.sendKeyEvent(1, keysym);
+    // Auto-scale display when it resizes
+    display.onresize = function(width, height) {
+        scaleDisplay(session);
     };
+    scaleDisplay(session);
+}
 
-    keyboard.onkeyup = function(keysym) {
-        client.sendKeyEvent(0, keysym);
+/**
+ * Release the input handlers, client and tunnel of a session, leaving
+ * whatever is on screen in place.
+ */
+function closeSession(session) {
+    // Release keys still held down on the remote side
+    if (session === activeSession) {
+        keyboard.reset();
+        lastTraffic = null;
+    }
+    session.mouse = null;
+    session.touchInput = null;
+    if (session.client) {
+        var oldClient = session.client;
+        session.client = null;
+        oldClient.disconnect();
+    }
+    session.tunnel = null;
+    session.connectionId = null;
+    session.displayStats = null;
+    session.unstable = false;
+}
+
+/**
+ * Disconnect a session and close its tab. If it was the active session,
+ * the next tab is shown, or the connection form after the last one.
+ */
+function disconnectSession(session) {
+    var index = sessions.indexOf(session);
+    if (index === -1) return;
+
+    cancelReconnect(session);
+    closeSession(session);
+    sessions.splice(index, 1);
+    session.tab.remove();
+    if (session.displayElement)
+        session.displayElement.remove();
+
+    if (session === activeSession) {
+        activeSession = null;
+        if (sessions.length)
+            activateSession(sessions[Math.min(index, sessions.length - 1)]);
+        else
+            showConnectionPanel();
+    }
+
+    if (!sessions.length) {
+        clearInterval(thumbnailTimer);
+        thumbnailTimer = null;
+        transferList.innerHTML = '';
+        clipboardPanel.classList.add('hidden');
+        clipboardLocalText.value = '';
+    }
+
+    renderSessionTabs();
+}
+
+/**
+ * Handle a failed or dropped session: reconnect if the failure looks
+ * transient. Otherwise the active session goes back to the connection
+ * form with an error, and a background session keeps its tab marked as
+ * failed until the user looks at it.
+ *
+ * @param {object} session
+ * @param {Guacamole.Status} status
+ * @param {boolean} wasConnected - Whether the session had connected
+ */
+function sessionLost(session, status, wasConnected) {
+    var retry = (wasConnected || session.reconnectAttempt > 0) &&
+        RECONNECT_CODES.indexOf(status.code) !== -1 &&
+        session.reconnectAttempt < RECONNECT_MAX_ATTEMPTS;
+
+    var message = status.message || 'Unknown error';
+
+    if (retry) {
+        closeSession(session);
+        session.filesystem = null;
+        if (session === activeSession)
+            renderFilePanel();
+        scheduleReconnect(session, message);
+        return;
+    }
+
+    session.error = 'Connection error: ' + message + ' (code: 0x' + status.code.toString(16) + ')';
+    session.failure = {
+        time: new Date(),
+        settings: session.settings,
+        diagnosis: diagnoseError(status, session.settings)
+    };
+
+    if (session === activeSession) {
+        showConnectionPanel();
+        disconnectSession(session);
+        showError(session.error, session.failure);
+        return;
+    }
+
+    cancelReconnect(session);
+    closeSession(session);
+    setSessionState(session, 'failed');
+}
+
+function scaleDisplay(session) {
+    var display = session.client ? session.client.getDisplay() : null;
+    var containerWidth = displayContainer.clientWidth;
+    var containerHeight = displayContainer.clientHeight;
+
+    // Background sessions may resize while the display area is hidden
+    if (!display || containerWidth <= 0 || containerHeight <= 0)
+        return;
+
+    var displayWidth = display.getWidth();
+    var displayHeight = display.getHeight();
+
+    if (displayWidth <= 0 || displayHeight <= 0)
+        return;
+
+    var fitScale = Math.min(
+        containerWidth / displayWidth,
+        containerHeight / displayHeight
+    );
+
+    var scale;
+    switch (scaleMode) {
+        case 'fill':
+            scale = fitScale;
+            break;
+        case '100':
+            scale = 1;
+            break;
+        case '200':
+            scale = 2;
+            break;
+        case 'custom':
+            scale = customScale;
+            break;
+        default:
+            scale = Math.min(fitScale, 1);
+    }
+
+    display.scale(scale * session.touchZoom);
+}
+
+/**
+ * Change the local zoom of a session, keeping the remote point under the
+ * given client coordinates in place.
+ */
+function zoomDisplay(session, zoom, clientX, clientY) {
+    var display = session.client.getDisplay();
+    var oldScale = display.getScale();
+    session.touchZoom = Math.max(1, Math.min(MAX_TOUCH_ZOOM, zoom));
+    scaleDisplay(session);
+
+    var newScale = display.getScale();
+    var rect = displayContainer.getBoundingClientRect();
+    var offsetX = clientX - rect.left;
+    var offsetY = clientY - rect.top;
+    displayContainer.scrollLeft = (displayContainer.scrollLeft + offsetX) / oldScale * newScale - offsetX;
+    displayContainer.scrollTop = (displayContainer.scrollTop + offsetY) / oldScale * newScale - offsetY;
+}
+
+// ── Session tabs ────────────────────────────────────────────────────
+
+var SESSION_STATE_LABELS = {
+    connecting: 'Connecting\u2026',
+    connected: 'Connected',
+    failed: 'Failed'
+};
+
+/**
+ * Create a session for the given connection settings and add its tab.
+ * A session holds everything that belongs to one connection: its tunnel,
+ * client and display, and the per-connection state shown in the toolbar
+ * and side panels while its tab is active.
+ */
+function createSession(settings) {
+    var session = {
+        settings: settings,
+        state: 'connecting',
+        error: null,
+        tunnel: null,
+        client: null,
+        connectionId: null,
+        displayElement: null,
+        mouse: null,
+        touchInput: null,
+        touchZoom: 1,
+        multitouch: false,
+        unstable: false,
+        microphone: false,
+        displayStats: null,
+        reconnectAttempt: 0,
+        reconnectTimer: null,
+        reconnectReason: '',
+        filesystem: null,
+        filesystemName: '',
+        currentPath: '/',
+        remoteClipboard: null,
+        sentClipboard: null,
+        tab: null,
+        thumbnail: null
     };
 
-    // Auto-scale display when it resizes
-    display.onresize = function(width, height) {
-        scaleDisplay(display);
-    };
+    var tab = document.createElement('li');
+    tab.className = 'session-tab';
+    tab.setAttribute('role', 'tab');
+    tab.innerHTML = '<canvas class="session-tab-thumbnail"></canvas>' +
+        '<span class="session-tab-info"><span class="session-tab-label"></span>' +
+        '<span class="session-tab-state"></span></span>' +
+        '<button class="session-tab-close" title="Disconnect">' +
+        '<i class="fa-solid fa-xmark" aria-hidden="true"></i></button>';
+
+    tab.querySelector('.session-tab-label').textContent = settings.name || settings.hostname;
+    session.thumbnail = tab.querySelector('.session-tab-thumbnail');
+    session.thumbnail.width = THUMBNAIL_WIDTH;
+    session.thumbnail.height = THUMBNAIL_HEIGHT;
+
+    tab.addEventListener('click', function() {
+        // A failed background session is looked at on the connection form
+        if (session.state === 'failed') {
+            showConnectionPanel();
+            disconnectSession(session);
+            showError(session.error, session.failure);
+            return;
+        }
+        activateSession(session);
+    });
+
+    tab.querySelector('.session-tab-close').addEventListener('click', function(e) {
+        e.stopPropagation();
+        disconnectSession(session);
+    });
+
+    session.tab = tab;
+    sessionTabList.appendChild(tab);
+    sessions.push(session);
+
+    if (!thumbnailTimer)
+        thumbnailTimer = setInterval(updateThumbnails, THUMBNAIL_INTERVAL);
+
+    renderSessionTabs();
+    return session;
+}
+
+/**
+ * @returns {Guacamole.Client} The client of the active session, or null
+ */
+function activeClient() {
+    return activeSession ? activeSession.client : null;
+}
+
+/**
+ * @returns {Guacamole.Client} The client of the active session if it
+ *     accepts keyboard input, or null (also in read-only mode)
+ */
+function inputClient() {
+    return activeSession && !activeSession.settings.readOnly ? activeSession.client : null;
+}
+
+function setSessionState(session, state) {
+    session.state = state;
+    renderSessionTab(session);
+    if (state === 'connected' && session === activeSession)
+        displayContainer.focus();
+}
+
+function renderSessionTab(session) {
+    var settings = session.settings;
+    var active = session === activeSession;
+
+    session.tab.classList.toggle('session-tab-active', active);
+    session.tab.classList.toggle('session-tab-failed', session.state === 'failed');
+    session.tab.setAttribute('aria-selected', active ? 'true' : 'false');
+    if (session.state === 'failed')
+        session.tab.title = session.error;
+    else if (settings.join)
+        session.tab.title = 'Shared session ' + settings.join;
+    else
+        session.tab.title = settings.protocol.toUpperCase() + ' ' + settings.hostname + ':' + settings.port;
+    session.tab.querySelector('.session-tab-state').textContent = session.reconnectTimer
+        ? 'Reconnecting\u2026' : SESSION_STATE_LABELS[session.state];
+}
+
+function renderSessionTabs() {
+    sessionTabs.classList.toggle('hidden', !sessions.length);
+    sessionNewBtn.classList.toggle('session-tab-active', !activeSession);
+    sessions.forEach(renderSessionTab);
+}
+
+/**
+ * Update the toolbar and overlays from the state of the active session.
+ */
+function renderSessionToolbar() {
+    var session = activeSession;
+    if (!session) return;
+
+    audioControls.classList.toggle('hidden', session.settings.disableAudio);
+    micIndicator.classList.toggle('hidden', !session.microphone);
+    unstableBadge.classList.toggle('hidden', !session.unstable);
+    readOnlyBanner.classList.toggle('hidden', !session.settings.readOnly);
+    keysBtn.disabled = session.settings.readOnly;
+    oskBtn.disabled = session.settings.readOnly;
+    if (session.settings.readOnly && !oskPanel.classList.contains('hidden'))
+        toggleOnScreenKeyboard(false);
+    shareBtn.disabled = !session.connectionId;
+    updateTouchModes(session.multitouch);
+
+    if (session.reconnectAttempt > 0) {
+        reconnectMessage.textContent = 'Reconnecting (attempt ' + session.reconnectAttempt + ')\u2026';
+        reconnectReason.textContent = session.reconnectReason;
+    }
+    reconnectOverlay.classList.toggle('hidden', session.reconnectAttempt === 0);
+}
+
+/**
+ * Show a session in the display area and send keyboard input to it.
+ */
+function activateSession(session) {
+    if (session === activeSession) return;
+
+    deactivateSession();
+    activeSession = session;
+    lastTraffic = null;
+
+    if (session.displayElement)
+        session.displayElement.classList.remove('hidden');
+    connectBtn.disabled = true;
+    connectionPanel.classList.add('hidden');
+    displayWrapper.classList.remove('hidden');
+
+    renderSessionToolbar();
+    renderFilePanel();
+    renderClipboardPanel();
+    renderSessionTabs();
+    updateDisplaySize();
+
+    // Focus the display container so keyboard events are captured
+    displayContainer.focus();
+}
+
+/**
+ * Move the active session to the background. It keeps running and its
+ * tab thumbnail keeps updating.
+ */
+function deactivateSession() {
+    var session = activeSession;
+    if (!session) return;
+
+    // Release keys held down in the session being left
+    keyboard.reset();
+    if (osk)
+        osk.reset();
+
+    activeSession = null;
+    if (session.displayElement)
+        session.displayElement.classList.add('hidden');
+    renderThumbnail(session);
+}
+
+/**
+ * Show the connection form, leaving any open sessions running in their
+ * tabs.
+ */
+function showConnectionPanel() {
+    deactivateSession();
+    toggleStats(false);
+    toggleKeysMenu(false);
+    toggleViewMenu(false);
+    toggleOnScreenKeyboard(false);
+    connectBtn.disabled = false;
+    connectionPanel.classList.remove('hidden');
+    displayWrapper.classList.add('hidden');
+    renderSessionTabs();
+}
+
+/**
+ * Draw a scaled-down copy of a session's display into its tab.
+ */
+function renderThumbnail(session) {
+    if (!session.client) return;
+
+    var display = session.client.getDisplay();
+    var width = display.getWidth();
+    var height = display.getHeight();
+    if (width <= 0 || height <= 0) return;
+
+    var scale = Math.min(THUMBNAIL_WIDTH / width, THUMBNAIL_HEIGHT / height);
+    var context = session.thumbnail.getContext('2d');
+    context.clearRect(0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+    context.drawImage(display.flatten(),
+        (THUMBNAIL_WIDTH - width * scale) / 2, (THUMBNAIL_HEIGHT - height * scale) / 2,
+        width * scale, height * scale);
+}
+
+function updateThumbnails() {
+    sessions.forEach(renderThumbnail);
+}
+
+keyboard.onkeydown = function(keysym) {
+    var client = inputClient();
+    if (client)
+        client.sendKeyEvent(1, keysym);
+};
+
+keyboard.onkeyup = function(keysym) {
+    var client = inputClient();
+    if (client)
+        client.sendKeyEvent(0, keysym);
+};
+
+sessionNewBtn.addEventListener('click', function() {
+    hideError();
+    showConnectionPanel();
+});
+
+// ── Session sharing ─────────────────────────────────────────────────
+
+function doJoin() {
+    var target;
+    try {
+        target = parseJoinTarget(joinIdInput.value);
+    } catch (e) {
+        showError(e.message);
+        return;
+    }
+
+    hideError();
+
+    // The size of the shared display is up to its owner; this is only the
+    // initial size of the local view
+    var settings = Object.assign({}, PROFILE_DEFAULTS, {
+        name: 'Shared ' + target.connectionId.substring(1, 9),
+        join: target.connectionId,
+        readOnly: target.readOnly || joinReadOnlyInput.checked,
+        width: lockedResolution ? lockedResolution.width : window.innerWidth,
+        height: lockedResolution ? lockedResolution.height : window.innerHeight - 100,
+        dpi: window.devicePixelRatio ? Math.round(96 * window.devicePixelRatio) : 96
+    }, guacdSettings());
+
+    // Unlock audio output while we are still handling the user's click
+    prepareAudio();
+
+    openSession(settings);
+}
+
+function updateShareLink() {
+    if (activeSession && activeSession.connectionId)
+        shareLinkInput.value = joinLink(activeSession.connectionId, shareReadOnlyInput.checked);
+}
+
+function showShareDialog() {
+    if (!activeSession || !activeSession.connectionId) return;
+    shareConnectionId.value = activeSession.connectionId;
+    updateShareLink();
+    shareDialog.classList.remove('hidden');
+    shareClose.focus();
+}
+
+// Copy a field's text, leaving it selected for Ctrl+C if the browser
+// refuses clipboard access
+function copyShareField(input) {
+    input.select();
+    writeLocalClipboard({ mimetype: 'text/plain', data: input.value }).catch(function() {});
+}
+
+// Fill in the join form from a join link the page was opened with
+function applyJoinLink() {
+    var options = joinOptions(cockpit.location.options);
+    if (!options) return;
+    joinIdInput.value = options.connectionId;
+    joinReadOnlyInput.checked = options.readOnly;
+    if (!activeSession)
+        joinBtn.focus();
+}
+
+joinBtn.addEventListener('click', doJoin);
+
+joinIdInput.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') {
+        doJoin();
+    }
+});
+
+shareBtn.addEventListener('click', showShareDialog);
+shareReadOnlyInput.addEventListener('change', updateShareLink);
+
+shareCopyId.addEventListener('click', function() {
+    copyShareField(shareConnectionId);
+});
+
+shareCopyLink.addEventListener('click', function() {
+    copyShareField(shareLinkInput);
+});
+
+shareClose.addEventListener('click', function() {
+    shareDialog.classList.add('hidden');
+    displayContainer.focus();
+});
+
+shareDialog.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') {
+        shareClose.click();
+    }
+});
+
+cockpit.addEventListener('locationchanged', applyJoinLink);
+
+// ── Automatic reconnect ─────────────────────────────────────────────
+
+function scheduleReconnect(session, reason) {
+    session.reconnectAttempt++;
+    session.reconnectReason = reason;
+    var delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, session.reconnectAttempt - 1), RECONNECT_MAX_DELAY);
+
+    session.reconnectTimer = setTimeout(function() {
+        session.reconnectTimer = null;
+        startSession(session);
+    }, delay);
+
+    renderSessionTab(session);
+    if (session === activeSession)
+        renderSessionToolbar();
+}
+
+function cancelReconnect(session) {
+    if (session.reconnectTimer) {
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = null;
+    }
+    session.reconnectAttempt = 0;
+    if (session === activeSession)
+        reconnectOverlay.classList.add('hidden');
+}
+
+reconnectCancelBtn.addEventListener('click', function() {
+    if (activeSession)
+        disconnectSession(activeSession);
+});
+
+// ── Connection statistics ───────────────────────────────────────────
+
+function formatRate(bytes) {
+    return formatBytes(Math.max(0, Math.round(bytes * 1000 / STATS_INTERVAL))) + '/s';
+}
+
+function formatFps(fps) {
+    return fps === null || fps === undefined ? '\u2013' : Math.round(fps);
+}
+
+function updateStats() {
+    var tunnel = activeSession ? activeSession.tunnel : null;
+    var traffic = tunnel ? tunnel.getStatistics() : null;
+    var displayStats = activeSession ? activeSession.displayStats : null;
+
+    if (traffic && traffic.roundTripTime !== null)
+        statsRtt.textContent = Math.round(traffic.roundTripTime) + ' ms';
+    else
+        statsRtt.textContent = '\u2013';
+
+    if (traffic && lastTraffic) {
+        statsIn.textContent = formatRate(traffic.bytesReceived - lastTraffic.bytesReceived);
+        statsOut.textContent = formatRate(traffic.bytesSent - lastTraffic.bytesSent);
+    } else {
+        statsIn.textContent = statsOut.textContent = '\u2013';
+    }
+    lastTraffic = traffic;
+
+    if (displayStats) {
+        statsFps.textContent = formatFps(displayStats.clientFps) + ' / ' + formatFps(displayStats.serverFps);
+        statsLag.textContent = displayStats.processingLag === null || displayStats.processingLag === undefined
+            ? '\u2013' : Math.round(displayStats.processingLag) + ' ms';
+    } else {
+        statsFps.textContent = statsLag.textContent = '\u2013';
+    }
+}
+
+function toggleStats(show) {
+    statsOverlay.classList.toggle('hidden', !show);
+    if (statsTimer) {
+        clearInterval(statsTimer);
+        statsTimer = null;
+    }
+    if (show) {
+        lastTraffic = null;
+        updateStats();
+        statsTimer = setInterval(updateStats, STATS_INTERVAL);
+    }
+}
+
+statsBtn.addEventListener('click', function() {
+    toggleStats(statsOverlay.classList.contains('hidden'));
+});
+
+// ── UI state management ─────────────────────────────────────────────
+
+/**
+ * Show an error on the connection form. Leaves the view as it is;
+ * callers reporting a lost session switch to the connection panel first.
+ *
+ * @param {string} msg
+ * @param {object} [failure] - A failed connection as recorded by
+ *     sessionLost(): adds its diagnosis, with checks to run, and offers
+ *     the service logs around the time it happened
+ */
+function showError(msg, failure) {
+    errorMessage.textContent = msg;
+    if (failure) {
+        var detailsBtn = document.createElement('button');
+        detailsBtn.className = 'btn-small error-details';
+        detailsBtn.textContent = 'Details';
+        detailsBtn.title = 'Show the service logs around the time of this error';
+        detailsBtn.addEventListener('click', function() {
+            openLogs(failure.time);
+        });
+        errorMessage.appendChild(detailsBtn);
+        errorMessage.appendChild(renderDiagnosis(failure));
+    }
+    errorMessage.classList.remove('hidden');
+}
+
+var DIAGNOSTIC_ICONS = {
+    pass: 'fa-circle-check',
+    warn: 'fa-triangle-exclamation',
+    fail: 'fa-circle-xmark'
+};
+
+/**
+ * List the results of checks, with a button for each problem that can be
+ * fixed from here.
+ *
+ * @param {Element} list - The list to fill
+ * @param {object[]} results - Results from runDiagnosticChecks()
+ * @param {function()} onfixed - Called after a fix was applied
+ */
+function renderCheckResults(list, results, onfixed) {
+    list.innerHTML = '';
+    results.forEach(function(result) {
+        var item = document.createElement('li');
+        item.className = 'diagnostic-' + result.status;
+        var icon = document.createElement('i');
+        icon.className = 'fa-solid ' + DIAGNOSTIC_ICONS[result.status];
+        icon.setAttribute('aria-hidden', 'true');
+        var label = document.createElement('strong');
+        label.textContent = result.label + ': ';
+        item.appendChild(icon);
+        item.appendChild(label);
+        item.appendChild(document.createTextNode(result.message));
+
+        if (result.fix && result.status !== 'pass') {
+            var fixBtn = document.createElement('button');
+            fixBtn.className = 'btn-small diagnostic-fix';
+            fixBtn.textContent = result.fix.label;
+            var fixError = document.createElement('span');
+            fixError.className = 'diagnostic-fix-error';
+
+            fixBtn.addEventListener('click', function() {
+                fixBtn.disabled = true;
+                fixBtn.textContent = result.fix.label + '\u2026';
+                fixError.textContent = '';
+                result.fix.run()
+                    .then(onfixed)
+                    .catch(function(err) {
+                        fixBtn.disabled = false;
+                        fixBtn.textContent = result.fix.label;
+                        fixError.textContent = 'Failed: ' + (err.message || err);
+                    });
+            });
+
+            item.appendChild(fixBtn);
+            item.appendChild(fixError);
+        }
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Build the explanation of a failed connection, with a button that runs
+ * the checks of its diagnosis.
+ *
+ * @param {object} failure
+ * @returns {Element}
+ */
+function renderDiagnosis(failure) {
+    var diagnosis = failure.diagnosis;
+    var container = document.createElement('div');
+    container.className = 'error-diagnosis';
+
+    var title = document.createElement('strong');
+    title.textContent = diagnosis.title;
+    container.appendChild(title);
+
+    var explanation = document.createElement('p');
+    explanation.textContent = diagnosis.explanation;
+    container.appendChild(explanation);
+
+    var fixes = document.createElement('ul');
+    fixes.className = 'error-fixes';
+    diagnosis.fixes.forEach(function(fix) {
+        var item = document.createElement('li');
+        item.textContent = fix;
+        fixes.appendChild(item);
+    });
+    container.appendChild(fixes);
+
+    if (!diagnosis.checks.length)
+        return container;
+
+    var checkBtn = document.createElement('button');
+    checkBtn.className = 'btn-small';
+    checkBtn.textContent = 'Run checks';
+    var results = document.createElement('ul');
+    results.className = 'diagnostic-results';
+
+    checkBtn.addEventListener('click', function runChecks() {
+        checkBtn.disabled = true;
+        checkBtn.textContent = 'Checking\u2026';
+        results.innerHTML = '';
+
+        runDiagnosticChecks(diagnosis.checks, failure.settings, failure.time).then(function(checks) {
+            renderCheckResults(results, checks, runChecks);
+            checkBtn.disabled = false;
+            checkBtn.textContent = 'Run checks again';
+        });
+    });
+
+    container.appendChild(checkBtn);
+    container.appendChild(results);
+    return container;
+}
+
+function hideError() {
+    errorMessage.textContent = '';
+    errorMessage.classList.add('hidden');
+}
+
+// ── Preflight checks ────────────────────────────────────────────────
+
+// Settings being checked, and the pending checkBeforeConnect() while the
+// dialog is open for a connection
+var preflightSettings = null;
+var preflightResolve = null;
+
+// Whether the dialog runs every check, as when opened by the Check
+// button, or only the quick ones made before connecting
+var preflightThorough = false;
+
+function describePreflight(results) {
+    var failed = results.filter(function(result) { return result.status === 'fail'; }).length;
+    var warned = results.filter(function(result) { return result.status === 'warn'; }).length;
+
+    if (failed)
+        return failed + (failed === 1 ? ' check failed' : ' checks failed') +
+            '; the connection is likely not to work until ' + (failed === 1 ? 'it is' : 'they are') + ' fixed.';
+    if (warned)
+        return 'The connection should work, but ' + warned + (warned === 1 ? ' check needs' : ' checks need') +
+            ' attention.';
+    return 'Everything this connection needs is in place.';
+}
+
+function showPreflightResults(results) {
+    var failed = results.some(function(result) { return result.status === 'fail'; });
+    preflightMessage.textContent = describePreflight(results);
+    renderCheckResults(preflightList, results, refreshPreflight);
+    preflightRecheck.disabled = false;
+    preflightConnect.disabled = false;
+    preflightConnect.textContent = failed ? 'Connect anyway' : 'Connect';
+}
+
+function refreshPreflight() {
+    var settings = preflightSettings;
+    preflightMessage.textContent = 'Checking\u2026';
+    preflightList.innerHTML = '';
+    preflightRecheck.disabled = true;
+    preflightConnect.disabled = true;
+
+    var checks = preflightChecks(settings, preflightThorough);
+    return runDiagnosticChecks(checks, settings, new Date()).then(function(results) {
+        if (preflightSettings === settings)
+            showPreflightResults(results);
+    });
+}
+
+/**
+ * Open the checks of a connection.
+ *
+ * @param {object} settings - The connection settings
+ * @param {?object[]} results - Results to show; checks are run if null
+ * @param {boolean} connecting - Whether the user is waiting to connect,
+ *     or asked for the checks alone, in which case all of them are run
+ */
+function openPreflight(settings, results, connecting) {
+    preflightSettings = settings;
+    preflightThorough = !connecting;
+    preflightCancel.textContent = connecting ? 'Cancel' : 'Close';
+    preflightConnect.classList.toggle('hidden', !connecting);
+    preflightDialog.classList.remove('hidden');
+
+    if (results)
+        showPreflightResults(results);
+    else
+        refreshPreflight();
+}
+
+function closePreflight(proceed) {
+    preflightDialog.classList.add('hidden');
+    preflightSettings = null;
+    if (preflightResolve) {
+        preflightResolve(proceed);
+        preflightResolve = null;
+    }
+}
+
+/**
+ * Check what a connection needs before making it. Connects straight
+ * away when nothing failed; otherwise shows the checks, with their fixes,
+ * and lets the user decide.
+ *
+ * @param {object} settings - The connection settings
+ * @returns {Promise<boolean>} Whether to go ahead and connect
+ */
+function checkBeforeConnect(settings) {
+    connectBtn.disabled = true;
+    connectBtn.textContent = 'Checking\u2026';
+
+    return runDiagnosticChecks(preflightChecks(settings), settings, new Date()).then(function(results) {
+        connectBtn.disabled = false;
+        connectBtn.textContent = 'Connect';
+
+        var failed = results.some(function(result) { return result.status === 'fail'; });
+        if (!failed)
+            return true;
+
+        openPreflight(settings, results, true);
+        return new Promise(function(resolve) {
+            preflightResolve = resolve;
+        });
+    });
+}
+
+preflightBtn.addEventListener('click', function() {
+    var form = readConnectionForm();
+    if (!isValidHost(form.hostname)) {
+        showError('"' + form.hostname + '" is not a valid hostname or IP address.');
+        return;
+    }
+    hideError();
+    openPreflight(Object.assign(form, guacdSettings()), null, false);
+});
+
+preflightRecheck.addEventListener('click', refreshPreflight);
+
+preflightConnect.addEventListener('click', function() {
+    closePreflight(true);
+});
+
+preflightCancel.addEventListener('click', function() {
+    closePreflight(false);
+});
+
+preflightDialog.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') {
+        closePreflight(false);
+    }
+});
+
+// ── Event handlers ──────────────────────────────────────────────────
+
+connectBtn.addEventListener('click', doConnect);
+disconnectBtn.addEventListener('click', function() {
+    if (activeSession)
+        disconnectSession(activeSession);
+});
+
+fullscreenBtn.addEventListener('click', function() {
+    if (displayWrapper.requestFullscreen) {
+        displayWrapper.requestFullscreen();
+    }
+});
+
+// Rescale the display and notify the server after the available
+// space changes
+function updateDisplaySize() {
+    var client = activeClient();
+    if (client) {
+        scaleDisplay(activeSession);
+
+        // Notify server of new size, unless the resolution is locked
+        if (!lockedResolution)
+            client.sendSize(displayContainer.clientWidth, displayContainer.clientHeight);
+    }
+}
+
+// Handle window resize
+window.addEventListener('resize', updateDisplaySize);
+
+// Show only the options that apply to the given protocol
+function showProtocolOptions(protocol) {
+    colorDepthGroup.classList.toggle('hidden', protocol === 'ssh');
+    rdpOptions.classList.toggle('hidden', protocol !== 'rdp');
+    vncOptions.classList.toggle('hidden', protocol !== 'vnc');
+    sshOptions.classList.toggle('hidden', protocol !== 'ssh');
+}
+
+// Swap protocol-specific options and the default port when the
+// protocol changes, unless the user has typed a custom port
+function updateProtocolOptions(previousProtocol) {
+    var protocol = protocolSelect.value;
+    var previousDefault = previousProtocol === 'rdp' ? xrdpPort : DEFAULT_PORTS[previousProtocol];
+
+    if (!portInput.value || parseInt(portInput.value) === previousDefault)
+        portInput.value = protocol === 'rdp' ? xrdpPort : DEFAULT_PORTS[protocol];
+
+    showProtocolOptions(protocol);
+}
+
+var currentProtocol = protocolSelect.value;
+protocolSelect.addEventListener('change', function() {
+    updateProtocolOptions(currentProtocol);
+    currentProtocol = protocolSelect.value;
+});
+
+// Allow connecting with Enter key in the password field
+passwordInput.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') {
+        doConnect();
+    }
+});
+
+// ── Confirm dialog ──────────────────────────────────────────────────
+
+var confirmResolve = null;
+
+/**
+ * Ask the user to confirm an action.
+ *
+ * @param {string} title - Dialog heading
+ * @param {string} message - Explanation of what will happen
+ * @param {string} [okLabel] - Label of the confirming button
+ * @returns {Promise<boolean>} Resolves true if the user confirmed
+ */
+function confirmAction(title, message, okLabel) {
+    confirmDialogTitle.textContent = title;
+    confirmDialogMessage.textContent = message;
+    confirmDialogOk.textContent = okLabel || 'OK';
+    confirmDialog.classList.remove('hidden');
+    confirmDialogOk.focus();
+
+    return new Promise(function(resolve) {
+        confirmResolve = resolve;
+    });
+}
+
+function closeConfirmDialog(result) {
+    confirmDialog.classList.add('hidden');
+    if (confirmResolve) {
+        confirmResolve(result);
+        confirmResolve = null;
+    }
+}
+
+confirmDialogOk.addEventListener('click', function() {
+    closeConfirmDialog(true);
+});
+
+confirmDialogCancel.addEventListener('click', function() {
+    closeConfirmDialog(false);
+});
+
+confirmDialog.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') {
+        closeConfirmDialog(false);
+    }
+});
+
+// ── Connection profiles ─────────────────────────────────────────────
+
+var profiles = [];
+var editingProfileId = null;
+
+function showProfileError(msg) {
+    profileError.textContent = msg;
+    profileError.classList.remove('hidden');
+}
+
+function hideProfileError() {
+    profileError.textContent = '';
+    profileError.classList.add('hidden');
+}
+
+function describeProfile(profile) {
+    var target = profile.hostname + ':' + (profile.port || DEFAULT_PORTS[profile.protocol]);
+    if (profile.username) {
+        target = profile.username + '@' + target;
+    }
+    return profile.protocol.toUpperCase() + ' \u2014 ' + target;
+}
+
+function createProfileButton(iconClass, label, title, onClick) {
+    var btn = document.createElement('button');
+    btn.className = 'btn-small';
+    btn.title = title;
+    btn.innerHTML = '<i class="fa-solid ' + iconClass + '" aria-hidden="true"></i>';
+    if (label) {
+        btn.appendChild(document.createTextNode(' ' + label));
+    }
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+function renderProfiles() {
+    profileList.innerHTML = '';
+    profileEmpty.classList.toggle('hidden', profiles.length > 0);
+    profileExportBtn.disabled = profiles.length === 0;
+
+    profiles.forEach(function(profile) {
+        var item = document.createElement('li');
+        item.className = 'profile-item';
+        if (profile.id === editingProfileId) {
+            item.classList.add('profile-item-editing');
+        }
+
+        var info = document.createElement('div');
+        info.className = 'profile-info';
+        var name = document.createElement('span');
+        name.className = 'profile-name';
+        name.textContent = profile.name;
+        var summary = document.createElement('span');
+        summary.className = 'profile-summary';
+        summary.textContent = describeProfile(profile);
+        info.appendChild(name);
+        info.appendChild(summary);
+
+        var actions = document.createElement('div');
+        actions.className = 'profile-item-actions';
+        var connect = createProfileButton('fa-plug', 'Connect', 'Connect', function() {
+            connectProfile(profile);
+        });
+        connect.classList.add('btn-install');
+        actions.appendChild(connect);
+        actions.appendChild(createProfileButton('fa-pen', '', 'Edit', function() {
+            editProfile(profile);
+        }));
+        actions.appendChild(createProfileButton('fa-clone', '', 'Clone', function() {
+            persistProfiles(profiles.concat([cloneProfile(profile)]));
+        }));
+        actions.appendChild(createProfileButton('fa-trash', '', 'Delete', function() {
+            deleteProfile(profile);
+        }));
+
+        item.appendChild(info);
+        item.appendChild(actions);
+        profileList.appendChild(item);
+    });
+}
+
+function persistProfiles(updated) {
+    hideProfileError();
+    return saveProfiles(updated)
+        .then(function() {
+            profiles = updated;
+            renderProfiles();
+        })
+        .catch(function(err) {
+            showProfileError('Could not save connections: ' + (err.message || err));
+        });
+}
+
+function setEditingProfile(profile) {
+    editingProfileId = profile ? profile.id : null;
+    connectionFormTitle.textContent = profile ? 'Edit ' + profile.name : 'Connect to Desktop';
+    renderProfiles();
+}
+
+function editProfile(profile) {
+    fillConnectionForm(profile);
+    setEditingProfile(profile);
+    hideError();
+}
+
+// Load the profile into the form and connect straight away, reusing
+// whatever password is currently typed in the form
+function connectProfile(profile) {
+    var password = passwordInput.value;
+    fillConnectionForm(profile);
+    passwordInput.value = password;
+    setEditingProfile(profile);
+    doConnect();
+}
+
+function deleteProfile(profile) {
+    confirmAction('Delete connection', 'Delete the saved connection "' + profile.name + '"?', 'Delete')
+        .then(function(confirmed) {
+            if (!confirmed) return;
+            if (editingProfileId === profile.id) {
+                setEditingProfile(null);
+            }
+            persistProfiles(profiles.filter(function(p) { return p.id !== profile.id; }));
+        });
+}
+
+profileSaveBtn.addEventListener('click', function() {
+    var profile = readConnectionForm();
+    if (!profile.name) {
+        showError('Enter a connection name to save this connection.');
+        profileNameInput.focus();
+        return;
+    }
+    hideError();
+
+    var exists = profiles.some(function(p) { return p.id === profile.id; });
+    var updated = exists
+        ? profiles.map(function(p) { return p.id === profile.id ? profile : p; })
+        : profiles.concat([profile]);
+
+    persistProfiles(updated).then(function() {
+        setEditingProfile(profile);
+    });
+});
+
+profileNewBtn.addEventListener('click', function() {
+    var profile = normalizeProfile(PROFILE_DEFAULTS);
+    profile.port = xrdpPort;
+    fillConnectionForm(profile);
+    setEditingProfile(null);
+    profileNameInput.focus();
+});
+
+profileExportBtn.addEventListener('click', function() {
+    var blob = new Blob([exportProfiles(profiles)], { type: 'application/json' });
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = 'cockpit-guacamole-profiles.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+});
+
+profileImportBtn.addEventListener('click', function() {
+    profileImportFile.value = '';
+    profileImportFile.click();
+});
+
+profileImportFile.addEventListener('change', function() {
+    var file = profileImportFile.files[0];
+    if (!file) return;
+
+    file.text()
+        .then(function(text) {
+            persistProfiles(profiles.concat(importProfiles(text)));
+        })
+        .catch(function(err) {
+            showProfileError('Import failed: ' + (err.message || err));
+        });
+});
+
+function initProfiles() {
+    loadProfiles()
+        .then(function(loaded) {
+            profiles = loaded;
+            renderProfiles();
+        })
+        .catch(function(err) {
+            renderProfiles();
+            showProfileError('Could not load saved connections: ' + (err.message || err));
+        });
+}
+
+// ── Recent hosts ────────────────────────────────────────────────────
+
+function renderRecentHosts(hosts) {
+    recentHostsList.innerHTML = '';
+    hosts.forEach(function(host) {
+        var option = document.createElement('option');
+        option.value = host;
+        recentHostsList.appendChild(option);
+    });
+}
+
+function rememberHost(host) {
+    addRecentHost(host)
+        .then(renderRecentHosts)
+        .catch(function() { /* the list is a convenience only */ });
+}
+
+// ── File transfer ───────────────────────────────────────────────────
+
+// Show the redirected drive of the active session, if any. Transfers
+// of all sessions stay listed.
+function renderFilePanel() {
+    var filesystem = activeSession ? activeSession.filesystem : null;
+    filesBtn.classList.toggle('hidden', !filesystem);
+    fileList.innerHTML = '';
+    hideFilePanelError();
+
+    if (!filesystem) {
+        filePanel.classList.add('hidden');
+        return;
+    }
+
+    filePanelTitle.textContent = activeSession.filesystemName;
+    refreshFileList();
+}
+
+function showFilePanelError(msg) {
+    filePanelError.textContent = msg;
+    filePanelError.classList.remove('hidden');
+}
+
+function hideFilePanelError() {
+    filePanelError.textContent = '';
+    filePanelError.classList.add('hidden');
+}
+
+function toggleFilePanel(show) {
+    filePanel.classList.toggle('hidden', !show);
+    updateDisplaySize();
+}
+
+function renderFileList(entries) {
+    var currentPath = activeSession.currentPath;
+    fileList.innerHTML = '';
+    filePathEl.textContent = currentPath;
+    filePathEl.title = currentPath;
+    fileUpBtn.disabled = currentPath === '/';
+
+    entries.forEach(function(entry) {
+        var item = document.createElement('li');
+        item.className = 'file-entry';
+
+        var icon = document.createElement('i');
+        icon.className = 'fa-solid ' + (entry.isDirectory ? 'fa-folder' : 'fa-file');
+        icon.setAttribute('aria-hidden', 'true');
+
+        var name = document.createElement('span');
+        name.className = 'file-entry-name';
+        name.textContent = entry.name;
+        name.title = entry.name;
+
+        item.appendChild(icon);
+        item.appendChild(name);
+
+        if (entry.isDirectory) {
+            item.classList.add('file-entry-directory');
+            item.addEventListener('click', function() {
+                activeSession.currentPath = entry.path;
+                refreshFileList();
+            });
+        } else if (!activeSession.settings.disableDownload) {
+            var download = document.createElement('button');
+            download.className = 'btn-secondary';
+            download.title = 'Download';
+            download.innerHTML = '<i class="fa-solid fa-download" aria-hidden="true"></i>';
+            download.addEventListener('click', function() {
+                startDownload(entry);
+            });
+            item.appendChild(download);
+        }
+
+        fileList.appendChild(item);
+    });
+}
+
+function refreshFileList() {
+    var session = activeSession;
+    if (!session || !session.filesystem) return;
+    hideFilePanelError();
+
+    // The listing is dropped if another tab was opened in the meantime
+    listDirectory(session.filesystem, session.currentPath)
+        .then(function(entries) {
+            if (session === activeSession)
+                renderFileList(entries);
+        })
+        .catch(function(err) {
+            if (session === activeSession)
+                showFilePanelError(err.message || String(err));
+        });
+}
+
+/**
+ * Add a row with a progress bar to the transfer list.
+ *
+ * @param {string} label - Name of the file being transferred
+ * @returns {{progress: function, finish: function}} Callbacks to update
+ *     the row; finish() takes an optional error
+ */
+function addTransfer(label) {
+    var item = document.createElement('li');
+    item.className = 'transfer-item';
+    item.innerHTML = '<div class="transfer-item-label"><span></span><span></span></div>' +
+        '<div class="progress-bar-wrap"><div class="progress-bar"></div></div>';
+
+    var labels = item.querySelectorAll('.transfer-item-label span');
+    var bar = item.querySelector('.progress-bar');
+    labels[0].textContent = label;
+    labels[0].title = label;
+
+    transferList.insertBefore(item, transferList.firstChild);
+
+    return {
+        progress: function(done, total) {
+            labels[1].textContent = total ? formatBytes(done) + ' / ' + formatBytes(total) : formatBytes(done);
+            bar.style.width = total ? Math.round(done / total * 100) + '%' : '100%';
+        },
+        finish: function(err) {
+            if (err) {
+                item.classList.add('transfer-item-error');
+                labels[1].textContent = err.message || String(err);
+            } else {
+                item.classList.add('transfer-item-done');
+                bar.style.width = '100%';
+                if (!labels[1].textContent)
+                    labels[1].textContent = 'Done';
+            }
+        }
+    };
+}
+
+function startDownload(entry) {
+    var transfer = addTransfer(entry.name);
+    downloadFile(activeSession.filesystem, entry.path, transfer.progress)
+        .then(function() { transfer.finish(); })
+        .catch(transfer.finish);
+}
+
+function startUpload(file) {
+    var session = activeSession;
+    var transfer = addTransfer(file.name);
+    uploadFile(session.client, session.filesystem, session.currentPath, file, transfer.progress)
+        .then(function() {
+            transfer.finish();
+            if (session === activeSession)
+                refreshFileList();
+        })
+        .catch(transfer.finish);
+}
+
+function canUpload() {
+    var session = activeSession;
+    return session && session.client && session.filesystem && session.settings.enableDrive &&
+        !session.settings.disableUpload && !session.settings.readOnly;
+}
+
+rdpEnableDriveInput.addEventListener('change', function() {
+    rdpDriveOptions.classList.toggle('hidden', !rdpEnableDriveInput.checked);
+});
+
+filesBtn.addEventListener('click', function() {
+    toggleFilePanel(filePanel.classList.contains('hidden'));
+});
+
+filePanelClose.addEventListener('click', function() {
+    toggleFilePanel(false);
+    displayContainer.focus();
+});
+
+fileUpBtn.addEventListener('click', function() {
+    activeSession.currentPath = parentPath(activeSession.currentPath);
+    refreshFileList();
+});
+
+fileRefreshBtn.addEventListener('click', refreshFileList);
+
+fileUploadBtn.addEventListener('click', function() {
+    if (!canUpload()) {
+        showFilePanelError('Uploads are disabled for this connection.');
+        return;
+    }
+    fileUploadInput.value = '';
+    fileUploadInput.click();
+});
+
+fileUploadInput.addEventListener('change', function() {
+    Array.prototype.forEach.call(fileUploadInput.files, startUpload);
+});
+
+// Drag-and-drop upload onto the remote display
+displayContainer.addEventListener('dragover', function(e) {
+    if (!canUpload()) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    displayContainer.classList.add('drop-target');
+});
+
+displayContainer.addEventListener('dragleave', function() {
+    displayContainer.classList.remove('drop-target');
+});
+
+displayContainer.addEventListener('drop', function(e) {
+    displayContainer.classList.remove('drop-target');
+    if (!canUpload()) return;
+    e.preventDefault();
+
+    if (filePanel.classList.contains('hidden'))
+        toggleFilePanel(true);
+    Array.prototype.forEach.call(e.dataTransfer.files, startUpload);
+});
+
+// ── Audio controls ──────────────────────────────────────────────────
+
+function startMicrophoneForwarding(session) {
+    var recorder = startMicrophone(session.client, function() {
+        session.microphone = false;
+        if (session === activeSession)
+            renderSessionToolbar();
+    });
+    session.microphone = !!recorder;
+    if (session === activeSession)
+        renderSessionToolbar();
+}
+
+function updateMuteButton() {
+    var muted = isMuted() || volumeSlider.value === '0';
+    muteIcon.className = 'fa-solid ' + (muted ? 'fa-volume-xmark' : 'fa-volume-high');
+    muteBtn.title = isMuted() ? 'Unmute' : 'Mute';
+}
+
+muteBtn.addEventListener('click', function() {
+    setMuted(!isMuted());
+    updateMuteButton();
+    displayContainer.focus();
+});
+
+volumeSlider.addEventListener('input', function() {
+    setVolume(parseInt(volumeSlider.value, 10) / 100);
+    if (isMuted())
+        setMuted(false);
+    updateMuteButton();
+});
+
+// ── Clipboard ───────────────────────────────────────────────────────
+
+function showClipboardError(msg) {
+    clipboardError.textContent = msg;
+    clipboardError.classList.remove('hidden');
+}
+
+function hideClipboardError() {
+    clipboardError.textContent = '';
+    clipboardError.classList.add('hidden');
+}
+
+// Show the last clipboard contents received from the active session
+function renderClipboardPanel() {
+    var session = activeSession;
+    clipboardRemoteEmpty.classList.remove('hidden');
+    clipboardRemoteText.classList.add('hidden');
+    clipboardRemoteImage.classList.add('hidden');
+    clipboardRemoteImage.removeAttribute('src');
+    clipboardCopyBtn.classList.add('hidden');
+    clipboardCopyBlocked.classList.toggle('hidden', !(session && session.settings.disableCopy));
+    hideClipboardError();
+
+    if (session && session.remoteClipboard)
+        showRemoteClipboard(session.remoteClipboard);
+}
+
+function showRemoteClipboard(entry) {
+    if (typeof entry.data === 'string') {
+        clipboardRemoteText.textContent = entry.data;
+        clipboardRemoteText.classList.remove('hidden');
+        clipboardRemoteImage.classList.add('hidden');
+        showRemoteClipboardControls();
+    } else {
+        // An image that cannot be read leaves the panel as it was
+        blobToDataURL(entry.data).then(function(url) {
+            clipboardRemoteImage.src = url;
+            clipboardRemoteImage.classList.remove('hidden');
+            clipboardRemoteText.classList.add('hidden');
+            showRemoteClipboardControls();
+        }).catch(function() {});
+    }
+}
+
+function showRemoteClipboardControls() {
+    clipboardRemoteEmpty.classList.add('hidden');
+    clipboardCopyBtn.classList.remove('hidden');
+}
+
+// Read-only sessions take no clipboard input either
+function canPaste(session) {
+    return !session.settings.disablePaste && !session.settings.readOnly;
+}
+
+// Each session remembers the last clipboard contents received from, and
+// sent to, its remote side. Used to avoid echoing the same contents back
+// and forth. Only the active session updates the browser clipboard.
+function handleRemoteClipboard(session, stream, mimetype) {
+    if (session.settings.disableCopy) return;
+
+    readClipboardStream(stream, mimetype).then(function(entry) {
+        session.remoteClipboard = entry;
+        if (session !== activeSession) return;
+        showRemoteClipboard(entry);
+
+        // Best effort: this fails without focus or permission, in which
+        // case the panel's copy button is the way out
+        writeLocalClipboard(entry).catch(function() {});
+    }).catch(function() {
+        // Contents that cannot be read are dropped; the panel keeps
+        // showing what it had
+    });
+}
+
+function sendClipboard(entry, paste) {
+    var session = activeSession;
+    if (!session || !session.client || !canPaste(session)) return;
+
+    session.sentClipboard = entry;
+    sendClipboardEntry(session.client, entry);
+
+    if (!paste) return;
+
+    // Simulate Ctrl+V to paste on the remote side
+    setTimeout(function() {
+        if (session.client)
+            sendKeySequence(session.client, parseKeySequence('Ctrl+V'));
+    }, 100);
+}
+
+// Push the browser clipboard to the remote side if it changed since
+// the last exchange. Silently does nothing without permission.
+function syncLocalClipboard() {
+    var session = activeSession;
+    if (!session || !session.client || !canPaste(session)) return;
+
+    readLocalClipboard()
+        .then(function(entry) {
+            if (!entry || session !== activeSession ||
+                sameEntry(entry, session.sentClipboard) || sameEntry(entry, session.remoteClipboard))
+                return;
+            sendClipboard(entry, false);
+        })
+        .catch(function() {});
+}
+
+function sendLocalText(paste) {
+    var text = clipboardLocalText.value;
+    if (!text) return;
+
+    if (activeSession && !canPaste(activeSession)) {
+        showClipboardError('Pasting into the remote desktop is disabled for this connection.');
+        return;
+    }
+
+    sendClipboard({ mimetype: 'text/plain', data: text }, paste);
+    displayContainer.focus();
+}
+
+function toggleClipboardPanel(show) {
+    clipboardPanel.classList.toggle('hidden', !show);
+    updateDisplaySize();
+    if (show)
+        clipboardLocalText.focus();
+}
+
+displayContainer.addEventListener('focus', syncLocalClipboard);
+window.addEventListener('focus', syncLocalClipboard);
+
+clipboardBtn.addEventListener('click', function() {
+    toggleClipboardPanel(clipboardPanel.classList.contains('hidden'));
+});
+
+clipboardPanelClose.addEventListener('click', function() {
+    toggleClipboardPanel(false);
+    displayContainer.focus();
+});
+
+clipboardCopyBtn.addEventListener('click', function() {
+    var session = activeSession;
+    if (!session || !session.remoteClipboard) return;
+    var entry = session.remoteClipboard;
+    hideClipboardError();
+    writeLocalClipboard(entry)
+        .then(function() {
+            session.sentClipboard = entry;
+        })
+        .catch(function(err) {
+            showClipboardError('Could not write to the browser clipboard: ' + (err.message || err));
+        });
+});
+
+clipboardSendBtn.addEventListener('click', function() {
+    sendLocalText(false);
+});
+
+clipboardPasteBtn.addEventListener('click', function() {
+    sendLocalText(true);
+});
+
+// Allow sending with Ctrl+Enter in the clipboard textarea
+clipboardLocalText.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        sendLocalText(true);
+    } else if (e.key === 'Escape') {
+        clipboardPanelClose.click();
+    }
+});
+
+// Images pasted into the textarea are sent as-is
+clipboardLocalText.addEventListener('paste', function(e) {
+    var items = e.clipboardData ? e.clipboardData.items : [];
+    for (var i = 0; i < items.length; i++) {
+        if (items[i].kind === 'file' && items[i].type.indexOf('image/') === 0) {
+            e.preventDefault();
+            if (activeSession && !canPaste(activeSession)) {
+                showClipboardError('Pasting into the remote desktop is disabled for this connection.');
+                return;
+            }
+            sendClipboard({ mimetype: items[i].type, data: items[i].getAsFile() }, false);
+            return;
+        }
+    }
+});
+
+// ── Scaling and resolution ──────────────────────────────────────────
+
+function rescaleDisplay() {
+    if (activeSession)
+        scaleDisplay(activeSession);
+}
+
+function toggleViewMenu(show) {
+    viewMenu.classList.toggle('hidden', !show);
+    viewBtn.setAttribute('aria-expanded', show ? 'true' : 'false');
+}
+
+function parseResolution(value) {
+    var parts = value.split('x');
+    return { width: parseInt(parts[0], 10), height: parseInt(parts[1], 10) };
+}
+
+/**
+ * Lock the remote display to a fixed resolution, or unlock it (null) to
+ * follow the window size again.
+ */
+function setLockedResolution(resolution) {
+    lockedResolution = resolution;
+    lockResolutionSelect.classList.toggle('hidden', !resolution);
+
+    var client = activeClient();
+    if (!client) return;
+
+    var width = resolution ? resolution.width : displayContainer.clientWidth;
+    var height = resolution ? resolution.height : displayContainer.clientHeight;
+    client.sendSize(width, height);
+
+    // Reconnects keep the chosen size
+    activeSession.settings.width = width;
+    activeSession.settings.height = height;
+}
+
+viewBtn.addEventListener('click', function(e) {
+    e.stopPropagation();
+    toggleViewMenu(viewMenu.classList.contains('hidden'));
+});
+
+document.addEventListener('click', function(e) {
+    if (!viewMenu.contains(e.target))
+        toggleViewMenu(false);
+});
+
+scaleModeSelect.addEventListener('change', function() {
+    scaleMode = scaleModeSelect.value;
+    scaleCustomGroup.classList.toggle('hidden', scaleMode !== 'custom');
+    if (activeSession)
+        activeSession.touchZoom = 1;
+    rescaleDisplay();
+});
+
+scaleCustomInput.addEventListener('change', function() {
+    var percent = parseInt(scaleCustomInput.value, 10);
+    if (isNaN(percent)) percent = 100;
+    percent = Math.max(10, Math.min(400, percent));
+    scaleCustomInput.value = percent;
+    customScale = percent / 100;
+    rescaleDisplay();
+});
+
+lockResolutionInput.addEventListener('change', function() {
+    setLockedResolution(lockResolutionInput.checked ? parseResolution(lockResolutionSelect.value) : null);
+});
+
+lockResolutionSelect.addEventListener('change', function() {
+    setLockedResolution(parseResolution(lockResolutionSelect.value));
+});
+
+// ── Touch input ─────────────────────────────────────────────────────
+
+/**
+ * Offer multi-touch only while the remote desktop accepts touch input,
+ * falling back to touchscreen mode otherwise.
+ */
+function updateTouchModes(multitouchSupported) {
+    var option = touchModeSelect.querySelector('option[value="multitouch"]');
+    option.disabled = !multitouchSupported;
+    if (!multitouchSupported && touchModeSelect.value === 'multitouch')
+        touchModeSelect.value = 'touchscreen';
+    if (activeSession && activeSession.touchInput)
+        activeSession.touchInput.mode = touchModeSelect.value;
+}
+
+TOUCH_MODES.forEach(function(mode) {
+    var option = document.createElement('option');
+    option.value = mode.id;
+    option.textContent = mode.label;
+    touchModeSelect.appendChild(option);
+});
+touchModeSelect.classList.toggle('hidden', !hasTouchScreen());
+updateTouchModes(false);
+
+touchModeSelect.addEventListener('change', function() {
+    if (activeSession && activeSession.touchInput)
+        activeSession.touchInput.mode = touchModeSelect.value;
+    displayContainer.focus();
+});
+
+// ── Key combinations and on-screen keyboard ─────────────────────────
+
+// User-defined key macros, as loaded from macros.json
+var macros = [];
+var osk = null;
+
+function addKeysMenuItem(label, sequence) {
+    var item = document.createElement('li');
+    item.className = 'toolbar-menu-item';
+    item.setAttribute('role', 'menuitem');
+    item.textContent = label;
+
+    var combos = null;
+    try {
+        combos = parseKeySequence(sequence);
+        item.title = sequence;
+    } catch (e) {
+        item.classList.add('toolbar-menu-item-disabled');
+        item.title = e.message;
+    }
+
+    item.addEventListener('click', function() {
+        if (!combos) return;
+        toggleKeysMenu(false);
+        var client = inputClient();
+        if (client)
+            sendKeySequence(client, combos);
+        displayContainer.focus();
+    });
+
+    keysMenu.appendChild(item);
+}
+
+function addKeysMenuSeparator() {
+    var separator = document.createElement('li');
+    separator.className = 'toolbar-menu-separator';
+    separator.setAttribute('role', 'separator');
+    keysMenu.appendChild(separator);
+}
+
+function renderKeysMenu() {
+    keysMenu.innerHTML = '';
+
+    BUILTIN_COMBOS.forEach(function(combo) {
+        addKeysMenuItem(combo.name, combo.sequence);
+    });
+
+    if (macros.length) {
+        addKeysMenuSeparator();
+        macros.forEach(function(macro) {
+            addKeysMenuItem(macro.name, macro.sequence);
+        });
+    }
+
+    addKeysMenuSeparator();
+
+    var edit = document.createElement('li');
+    edit.className = 'toolbar-menu-item';
+    edit.setAttribute('role', 'menuitem');
+    edit.textContent = 'Edit macros\u2026';
+    edit.addEventListener('click', function() {
+        toggleKeysMenu(false);
+        showMacrosDialog();
+    });
+    keysMenu.appendChild(edit);
+}
+
+function toggleKeysMenu(show) {
+    keysMenu.classList.toggle('hidden', !show);
+    keysBtn.setAttribute('aria-expanded', show ? 'true' : 'false');
+}
+
+keysBtn.addEventListener('click', function(e) {
+    e.stopPropagation();
+    toggleKeysMenu(keysMenu.classList.contains('hidden'));
+});
+
+document.addEventListener('click', function(e) {
+    if (!keysMenu.contains(e.target))
+        toggleKeysMenu(false);
+});
+
+function addMacroRow(macro) {
+    var row = document.createElement('li');
+    row.className = 'macro-row';
+
+    var name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'macro-name';
+    name.placeholder = 'Name';
+    name.value = macro.name;
+
+    var sequence = document.createElement('input');
+    sequence.type = 'text';
+    sequence.className = 'macro-sequence';
+    sequence.placeholder = 'Ctrl+Alt+Del';
+    sequence.spellcheck = false;
+    sequence.value = macro.sequence;
+
+    var remove = document.createElement('button');
+    remove.className = 'btn-small';
+    remove.title = 'Remove';
+    remove.innerHTML = '<i class="fa-solid fa-trash" aria-hidden="true"></i>';
+    remove.addEventListener('click', function() {
+        row.remove();
+    });
+
+    row.appendChild(name);
+    row.appendChild(sequence);
+    row.appendChild(remove);
+    macrosList.appendChild(row);
+    return row;
+}
+
+function showMacrosDialog() {
+    macrosList.innerHTML = '';
+    macros.forEach(addMacroRow);
+    macrosError.classList.add('hidden');
+    macrosDialog.classList.remove('hidden');
+}
+
+macrosAddBtn.addEventListener('click', function() {
+    addMacroRow({ name: '', sequence: '' }).querySelector('.macro-name').focus();
+});
+
+macrosCancel.addEventListener('click', function() {
+    macrosDialog.classList.add('hidden');
+});
+
+macrosDialog.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') {
+        macrosCancel.click();
+    }
+});
+
+macrosSave.addEventListener('click', function() {
+    var updated = [];
+    var problem = null;
+
+    Array.prototype.forEach.call(macrosList.children, function(row) {
+        var name = row.querySelector('.macro-name').value.trim();
+        var sequence = row.querySelector('.macro-sequence').value.trim();
+        if (!name && !sequence) return;
+
+        if (!problem) {
+            if (!name) {
+                problem = 'Every macro needs a name.';
+            } else {
+                try {
+                    parseKeySequence(sequence);
+                } catch (e) {
+                    problem = name + ': ' + e.message;
+                }
+            }
+        }
+        updated.push({ name: name, sequence: sequence });
+    });
+
+    if (problem) {
+        macrosError.textContent = problem;
+        macrosError.classList.remove('hidden');
+        return;
+    }
+
+    saveMacros(updated)
+        .then(function() {
+            macros = updated;
+            renderKeysMenu();
+            macrosDialog.classList.add('hidden');
+        })
+        .catch(function(err) {
+            macrosError.textContent = 'Could not save macros: ' + (err.message || err);
+            macrosError.classList.remove('hidden');
+        });
+});
+
+function createOnScreenKeyboard(layoutId) {
+    if (osk) {
+        osk.reset();
+        osk.onkeydown = osk.onkeyup = null;
+    }
+
+    osk = new Guacamole.OnScreenKeyboard(OSK_LAYOUTS[layoutId].layout);
+
+    osk.onkeydown = function(keysym) {
+        var client = inputClient();
+        if (client)
+            client.sendKeyEvent(1, keysym);
+    };
+
+    osk.onkeyup = function(keysym) {
+        var client = inputClient();
+        if (client)
+            client.sendKeyEvent(0, keysym);
+    };
+
+    oskContainer.innerHTML = '';
+    oskContainer.appendChild(osk.getElement());
+    resizeOnScreenKeyboard();
+}
+
+function resizeOnScreenKeyboard() {
+    if (osk && !oskPanel.classList.contains('hidden'))
+        osk.resize(oskContainer.clientWidth);
+}
+
+function toggleOnScreenKeyboard(show) {
+    oskPanel.classList.toggle('hidden', !show);
+    if (show) {
+        if (!osk)
+            createOnScreenKeyboard(oskLayoutSelect.value);
+        resizeOnScreenKeyboard();
+    } else if (osk) {
+        // Release any modifiers still latched on the keyboard
+        osk.reset();
+    }
+    updateDisplaySize();
+}
+
+Object.keys(OSK_LAYOUTS).forEach(function(id) {
+    var option = document.createElement('option');
+    option.value = id;
+    option.textContent = OSK_LAYOUTS[id].label;
+    oskLayoutSelect.appendChild(option);
+});
+oskLayoutSelect.value = DEFAULT_OSK_LAYOUT;
+
+oskLayoutSelect.addEventListener('change', function() {
+    createOnScreenKeyboard(oskLayoutSelect.value);
+});
+
+oskBtn.addEventListener('click', function() {
+    toggleOnScreenKeyboard(oskPanel.classList.contains('hidden'));
+});
+
+oskClose.addEventListener('click', function() {
+    toggleOnScreenKeyboard(false);
+});
+
+window.addEventListener('resize', resizeOnScreenKeyboard);
+
+function initMacros() {
+    renderKeysMenu();
+    loadMacros()
+        .then(function(loaded) {
+            macros = loaded;
+            renderKeysMenu();
+        })
+        .catch(function() {
+            // Macros are optional; the built-in combinations still work
+        });
+}
+
+// ── Session recordings ──────────────────────────────────────────────
+
+recordSessionInput.addEventListener('change', function() {
+    recordingOptions.classList.toggle('hidden', !recordSessionInput.checked);
+});
+
+// Player for the recording currently open in the recordings dialog
+var recordingPlayer = null;
+var selectedRecording = null;
+
+function showRecordingsError(msg) {
+    recordingsError.textContent = msg;
+    recordingsError.classList.remove('hidden');
+}
+
+function hideRecordingsError() {
+    recordingsError.textContent = '';
+    recordingsError.classList.add('hidden');
+}
+
+function updateRecordingTime() {
+    var duration = recordingPlayer ? recordingPlayer.getDuration() : 0;
+    var position = recordingPlayer ? recordingPlayer.getPosition() : 0;
+    recordingSeek.max = duration;
+    recordingSeek.value = position;
+    recordingTime.textContent = formatDuration(position) + ' / ' + formatDuration(duration);
+}
+
+function scaleRecordingDisplay() {
+    if (!recordingPlayer) return;
+    var display = recordingPlayer.getDisplay();
+    var width = display.getWidth();
+    var height = display.getHeight();
+    if (!width || !height) return;
+    display.scale(Math.min(
+        recordingDisplay.clientWidth / width,
+        recordingDisplay.clientHeight / height
+    ));
+}
+
+function closeRecording() {
+    if (recordingPlayer) {
+        recordingPlayer.destroy();
+        recordingPlayer = null;
+    }
+    selectedRecording = null;
+    recordingDisplay.innerHTML = '';
+    recordingDisplay.appendChild(recordingPlaceholder);
+    recordingPlaceholder.textContent = 'Select a recording to play it.';
+    recordingPlayBtn.disabled = true;
+    recordingSeek.disabled = true;
+    recordingPlayIcon.className = 'fa-solid fa-play';
+    updateRecordingTime();
+}
+
+function openRecording(entry) {
+    closeRecording();
+    hideRecordingsError();
+    selectedRecording = entry;
+    recordingPlaceholder.textContent = 'Loading ' + entry.name + '...';
+    renderRecordingSelection();
+
+    readRecording(entry.path)
+        .then(function(blob) {
+            // Another recording was chosen while this one was loading
+            if (selectedRecording !== entry) return;
+
+            var player = new RecordingPlayer(blob);
+            recordingPlayer = player;
+            player.setSpeed(parseFloat(recordingSpeedSelect.value));
+
+            player.onprogress = updateRecordingTime;
+            player.onposition = updateRecordingTime;
+
+            player.onplaystatechange = function(playing) {
+                recordingPlayIcon.className = 'fa-solid ' + (playing ? 'fa-pause' : 'fa-play');
+                recordingPlayBtn.title = playing ? 'Pause' : 'Play';
+            };
+
+            player.onload = function() {
+                recordingPlayBtn.disabled = false;
+                recordingSeek.disabled = false;
+                updateRecordingTime();
+                player.play();
+            };
+
+            player.onerror = function(message) {
+                showRecordingsError('Could not play ' + entry.name + ': ' + message);
+            };
+
+            var display = player.getDisplay();
+            display.onresize = scaleRecordingDisplay;
+            recordingDisplay.innerHTML = '';
+            recordingDisplay.appendChild(display.getElement());
+
+            player.load();
+        })
+        .catch(function(err) {
+            if (selectedRecording !== entry) return;
+            recordingPlaceholder.textContent = 'Select a recording to play it.';
+            showRecordingsError('Could not read ' + entry.path + ': ' + (err.message || err));
+        });
+}
+
+function renderRecordingSelection() {
+    Array.prototype.forEach.call(recordingsList.children, function(item) {
+        item.classList.toggle('recording-entry-active',
+            !!selectedRecording && item.dataset.path === selectedRecording.path);
+    });
+}
+
+function removeRecording(entry) {
+    confirmAction('Delete recording', 'Delete the recording "' + entry.name + '"?', 'Delete')
+        .then(function(confirmed) {
+            if (!confirmed) return;
+            if (selectedRecording && selectedRecording.path === entry.path) {
+                closeRecording();
+            }
+            return deleteRecording(entry.path).then(refreshRecordings);
+        })
+        .catch(function(err) {
+            showRecordingsError('Could not delete ' + entry.name + ': ' + (err.message || err));
+        });
+}
+
+function renderRecordings(entries) {
+    recordingsList.innerHTML = '';
+
+    if (entries.length === 0) {
+        var empty = document.createElement('li');
+        empty.className = 'recordings-empty';
+        empty.textContent = 'No recordings in this directory.';
+        recordingsList.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(function(entry) {
+        var item = document.createElement('li');
+        item.className = 'recording-entry';
+        item.dataset.path = entry.path;
+
+        var info = document.createElement('div');
+        info.className = 'recording-entry-info';
+
+        var name = document.createElement('div');
+        name.className = 'recording-entry-name';
+        name.textContent = entry.name;
+        name.title = entry.name;
+
+        var meta = document.createElement('div');
+        meta.className = 'recording-entry-meta';
+        meta.textContent = entry.modified.toLocaleString() + ' \u00b7 ' + formatBytes(entry.size);
+
+        info.appendChild(name);
+        info.appendChild(meta);
+
+        var remove = document.createElement('button');
+        remove.className = 'btn-secondary';
+        remove.title = 'Delete';
+        remove.innerHTML = '<i class="fa-solid fa-trash" aria-hidden="true"></i>';
+        remove.addEventListener('click', function(e) {
+            e.stopPropagation();
+            removeRecording(entry);
+        });
+
+        item.appendChild(info);
+        item.appendChild(remove);
+        item.addEventListener('click', function() {
+            openRecording(entry);
+        });
+
+        recordingsList.appendChild(item);
+    });
+
+    renderRecordingSelection();
+}
+
+function refreshRecordings() {
+    hideRecordingsError();
+    var dir = recordingsDirInput.value.trim() || PROFILE_DEFAULTS.recordingPath;
+
+    return listRecordings(dir)
+        .then(renderRecordings)
+        .catch(function(err) {
+            recordingsList.innerHTML = '';
+            showRecordingsError('Could not list ' + dir + ': ' + (err.message || err));
+        });
+}
+
+recordingsBtn.addEventListener('click', function() {
+    if (!recordingsDirInput.value) {
+        recordingsDirInput.value = recordingPathInput.value.trim() || PROFILE_DEFAULTS.recordingPath;
+    }
+    recordingsDialog.classList.remove('hidden');
+    refreshRecordings();
+});
+
+recordingsRefreshBtn.addEventListener('click', refreshRecordings);
+
+recordingsDirInput.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') {
+        refreshRecordings();
+    }
+});
+
+recordingsClose.addEventListener('click', function() {
+    closeRecording();
+    recordingsDialog.classList.add('hidden');
+});
+
+recordingsDialog.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') {
+        recordingsClose.click();
+    }
+});
+
+recordingPlayBtn.addEventListener('click', function() {
+    if (!recordingPlayer) return;
+    if (recordingPlayer.isPlaying())
+        recordingPlayer.pause();
+    else
+        recordingPlayer.play();
+});
+
+recordingSeek.addEventListener('input', function() {
+    if (!recordingPlayer) return;
+    recordingPlayer.seek(parseInt(recordingSeek.value, 10));
+});
+
+recordingSpeedSelect.addEventListener('change', function() {
+    if (recordingPlayer) {
+        recordingPlayer.setSpeed(parseFloat(recordingSpeedSelect.value));
+    }
+});
+
+window.addEventListener('resize', scaleRecordingDisplay);
 
-    // Show the display area before connecting so dimensions are available
-    setUIState('connecting');
+// ── Service logs ────────────────────────────────────────────────────
 
-    // Connect
-    client.connect('');
-}
+// Delay for coalescing renders while entries stream in (milliseconds)
+var LOG_RENDER_DELAY = 250;
+// Most entries rendered at once; older matches are left out
+var MAX_LOG_ROWS = 2000;
+// Entries highlighted around the time of an error the logs were opened
+// for (milliseconds before and after)
+var LOG_FOCUS_BEFORE = 30000;
+var LOG_FOCUS_AFTER = 5000;
 
-function doDisconnect() {
-    if (keyboard) {
-        keyboard.onkeydown = null;
-        keyboard.onkeyup = null;
-        keyboard.reset();
-        keyboard = null;
-    }
-    mouse = null;
-    if (client) {
-        client.disconnect();
-        client = null;
-    }
-    tunnel = null;
-    displayContainer.innerHTML = '';
-    setUIState('disconnected');
-}
+var LOG_PRIORITY_NAMES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+var DEFAULT_LOG_PRIORITY = 6;
 
-function scaleDisplay(display) {
-    var containerWidth = displayContainer.clientWidth;
-    var containerHeight = displayContainer.clientHeight;
-    var displayWidth = display.getWidth();
-    var displayHeight = display.getHeight();
+var logStream = null;
+var logRenderTimer = null;
+var logFocusTime = null;
+var logFocusPending = false;
 
-    if (displayWidth <= 0 || displayHeight <= 0)
-        return;
+function renderLogFilters() {
+    LOG_UNITS.forEach(function(unit) {
+        var label = document.createElement('label');
+        label.className = 'logs-unit';
+        var checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = unit;
+        checkbox.checked = true;
+        checkbox.addEventListener('change', renderLogs);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + unit));
+        logsUnits.appendChild(label);
+    });
 
-    var scale = Math.min(
-        containerWidth / displayWidth,
-        containerHeight / displayHeight,
-        1
-    );
-    display.scale(scale);
+    LOG_PRIORITIES.forEach(function(priority) {
+        var option = document.createElement('option');
+        option.value = priority.value;
+        option.textContent = priority.label;
+        option.selected = priority.value === DEFAULT_LOG_PRIORITY;
+        logsPriority.appendChild(option);
+    });
 }
 
-// ── UI state management ─────────────────────────────────────────────
-
-function setUIState(state) {
-    switch (state) {
-        case 'disconnected':
-            connectBtn.disabled = false;
-            connectionPanel.classList.remove('hidden');
-            displayWrapper.classList.add('hidden');
-            break;
-        case 'connecting':
-            connectBtn.disabled = true;
-            connectionPanel.classList.add('hidden');
-            displayWrapper.classList.remove('hidden');
-            break;
-        case 'connected':
-            connectBtn.disabled = true;
-            connectionPanel.classList.add('hidden');
-            displayWrapper.classList.remove('hidden');
-            // Focus the display container so keyboard events are captured
-            displayContainer.focus();
-            break;
-    }
+function selectedLogUnits() {
+    return Array.prototype.filter.call(logsUnits.querySelectorAll('input'), function(checkbox) {
+        return checkbox.checked;
+    }).map(function(checkbox) {
+        return checkbox.value;
+    });
 }
 
-function showError(msg) {
-    errorMessage.textContent = msg;
-    errorMessage.classList.remove('hidden');
-    // Also show the connection panel if hidden
-    connectionPanel.classList.remove('hidden');
-    displayWrapper.classList.add('hidden');
-    connectBtn.disabled = false;
+function formatLogTime(date) {
+    var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + ' ' +
+        pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds());
 }
 
-function hideError() {
-    errorMessage.textContent = '';
-    errorMessage.classList.add('hidden');
+function isLogFocused(entry) {
+    return logFocusTime !== null &&
+        entry.time >= logFocusTime.getTime() - LOG_FOCUS_BEFORE &&
+        entry.time <= logFocusTime.getTime() + LOG_FOCUS_AFTER;
 }
 
-// ── Event handlers ──────────────────────────────────────────────────
+function renderLogs() {
+    if (!logStream) return;
 
-connectBtn.addEventListener('click', doConnect);
-disconnectBtn.addEventListener('click', doDisconnect);
+    var units = selectedLogUnits();
+    var priority = parseInt(logsPriority.value, 10);
+    var search = logsSearch.value.trim().toLowerCase();
 
-fullscreenBtn.addEventListener('click', function() {
-    if (displayWrapper.requestFullscreen) {
-        displayWrapper.requestFullscreen();
-    }
-});
+    var matches = logStream.entries.filter(function(entry) {
+        return units.indexOf(entry.unit) !== -1 && entry.priority <= priority &&
+            (!search || entry.message.toLowerCase().indexOf(search) !== -1);
+    });
+    var shown = matches.slice(-MAX_LOG_ROWS);
 
-// Handle window resize
-window.addEventListener('resize', function() {
-    if (client) {
-        var display = client.getDisplay();
-        scaleDisplay(display);
+    // Keep following new entries unless scrolled away from the end
+    var atEnd = logsList.scrollTop + logsList.clientHeight >= logsList.scrollHeight - 4;
 
-        // Notify server of new size
-        client.sendSize(displayContainer.clientWidth, displayContainer.clientHeight);
-    }
-});
+    var fragment = document.createDocumentFragment();
+    var focusRow = null;
+    shown.forEach(function(entry) {
+        var row = document.createElement('div');
+        row.className = 'log-entry log-priority-' + (LOG_PRIORITY_NAMES[entry.priority] || 'info');
+        if (isLogFocused(entry)) {
+            row.classList.add('log-entry-focus');
+            focusRow = focusRow || row;
+        }
 
-// Allow connecting with Enter key in the password field
-passwordInput.addEventListener('keydown', function(e) {
-    if (e.key === 'Enter') {
-        doConnect();
-    }
-});
+        var time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = formatLogTime(entry.time);
+        var unit = document.createElement('span');
+        unit.className = 'log-unit';
+        unit.textContent = entry.unit;
+        unit.title = entry.source;
+        var message = document.createElement('span');
+        message.className = 'log-message';
+        message.textContent = entry.message;
 
-// ── Paste functionality ─────────────────────────────────────────────
+        row.appendChild(time);
+        row.appendChild(unit);
+        row.appendChild(message);
+        fragment.appendChild(row);
+    });
 
-function sendClipboardText(text) {
-    if (!client) return;
+    logsList.innerHTML = '';
+    logsList.appendChild(fragment);
 
-    // Send text to remote clipboard via Guacamole clipboard stream
-    var stream = client.createClipboardStream('text/plain');
-    var writer = new Guacamole.StringWriter(stream);
-    writer.sendText(text);
-    writer.sendEnd();
+    if (!logStream.entries.length)
+        logsSummary.textContent = 'Reading logs\u2026';
+    else if (shown.length < matches.length)
+        logsSummary.textContent = 'Showing the latest ' + shown.length + ' of ' + matches.length + ' matching entries';
+    else
+        logsSummary.textContent = matches.length + (matches.length === 1 ? ' matching entry' : ' matching entries');
 
-    // Simulate Ctrl+V to paste on the remote side
-    var KEYSYM_CTRL_L = 0xFFE3;
-    var KEYSYM_V = 0x0076;
+    if (logFocusPending && focusRow) {
+        focusRow.scrollIntoView({ block: 'center' });
+        logFocusPending = false;
+    } else if (atEnd || logFocusPending) {
+        logsList.scrollTop = logsList.scrollHeight;
+    }
+}
 
-    setTimeout(function() {
-        client.sendKeyEvent(1, KEYSYM_CTRL_L);
-        client.sendKeyEvent(1, KEYSYM_V);
-        client.sendKeyEvent(0, KEYSYM_V);
-        client.sendKeyEvent(0, KEYSYM_CTRL_L);
-    }, 100);
+function scheduleLogRender() {
+    if (logRenderTimer) return;
+    logRenderTimer = setTimeout(function() {
+        logRenderTimer = null;
+        renderLogs();
+    }, LOG_RENDER_DELAY);
 }
 
-pasteBtn.addEventListener('click', function() {
-    pasteText.value = '';
-    pasteDialog.classList.remove('hidden');
-    pasteText.focus();
-});
+/**
+ * Open the service logs.
+ *
+ * @param {Date} [focusTime] - Highlight the entries around this time and
+ *     scroll to them once they are read
+ */
+function openLogs(focusTime) {
+    logFocusTime = focusTime || null;
+    logFocusPending = !!focusTime;
+    logsError.textContent = '';
+    logsError.classList.add('hidden');
+    logsDialog.classList.remove('hidden');
 
-pasteDialogCancel.addEventListener('click', function() {
-    pasteDialog.classList.add('hidden');
-    displayContainer.focus();
-});
+    if (!logStream) {
+        logStream = new LogStream();
+        logStream.onchange = scheduleLogRender;
+        logStream.onerror = function(message) {
+            logsError.textContent = message;
+            logsError.classList.remove('hidden');
+        };
+        logStream.start();
+    }
+    renderLogs();
+}
 
-pasteDialogSend.addEventListener('click', function() {
-    var text = pasteText.value;
-    if (text) {
-        sendClipboardText(text);
+function closeLogs() {
+    if (logStream) {
+        logStream.stop();
+        logStream = null;
     }
-    pasteDialog.classList.add('hidden');
-    displayContainer.focus();
+    clearTimeout(logRenderTimer);
+    logRenderTimer = null;
+    logsList.innerHTML = '';
+    logsDialog.classList.add('hidden');
+}
+
+logsBtn.addEventListener('click', function() {
+    openLogs();
 });
 
-// Allow sending with Ctrl+Enter in the paste textarea
-pasteText.addEventListener('keydown', function(e) {
-    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
-        e.preventDefault();
-        pasteDialogSend.click();
-    } else if (e.key === 'Escape') {
-        pasteDialogCancel.click();
+logsPriority.addEventListener('change', renderLogs);
+logsSearch.addEventListener('input', scheduleLogRender);
+logsClose.addEventListener('click', closeLogs);
+
+logsDialog.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') {
+        closeLogs();
     }
 });
 
@@ -462,155 +3418,659 @@ function setConfigStatus(el, type, text) {
 }
 
 function clearAllConfigStatuses() {
-    [configXrdpEnabledStatus, configGuacdEnabledStatus,
-     configGroupsStatus, configDisconnectStatus, configXrdpPortStatus].forEach(function(el) {
+    var statuses = [configXrdpEnabledStatus, configGuacdEnabledStatus,
+        configGroupsStatus, configDisconnectStatus, configXrdpPortStatus, configGuacdEndpointStatus,
+        configGuacdHostStatus, configGuacdPortStatus, configGuacdCaStatus];
+    statuses.concat(Array.from(configFields.querySelectorAll('.config-status'))).forEach(function(el) {
         el.textContent = '';
         el.className = 'config-status';
     });
 }
 
-function parseMaxDisconnectionTime(iniContents) {
-    var lines = iniContents.split('\n');
-    var inXvncSection = false;
+var CONFIG_FILE_PATHS = { xrdp: XRDP_INI, sesman: SESMAN_INI, guacd: GUACD_CONF };
 
-    for (var i = 0; i < lines.length; i++) {
-        var line = lines[i].trim();
+/**
+ * Parse a configuration file as loaded. guacd.conf is optional, so while
+ * it does not exist it is an empty document that settings can be added
+ * to.
+ *
+ * @param {string} file - "xrdp", "sesman" or "guacd"
+ * @returns {?IniDocument} null if the file could not be read
+ */
+function configDocument(file) {
+    if (file === 'guacd' && configTexts.guacd === null && configTags.guacd === '-')
+        return parseConfigFile('');
+    return parseConfigFile(configTexts[file]);
+}
 
-        if (line.match(/^\[.*\]$/)) {
-            inXvncSection = (line.toLowerCase() === '[xvnc]');
-            continue;
-        }
+/**
+ * @returns {object} IniDocuments of all configuration files, keyed by file
+ */
+function configDocuments() {
+    var docs = {};
+    Object.keys(CONFIG_FILE_PATHS).forEach(function(file) {
+        docs[file] = configDocument(file);
+    });
+    return docs;
+}
+
+/**
+ * Show a status next to every setting stored in a configuration file.
+ *
+ * @param {string} file - "xrdp", "sesman" or "guacd"
+ * @param {string} type - "ok", "err" or "info"
+ * @param {string} text
+ */
+function setConfigFileStatus(file, type, text) {
+    var fixed = { xrdp: configXrdpPortStatus, sesman: configDisconnectStatus }[file];
+    if (fixed)
+        setConfigStatus(fixed, type, text);
+    configFields.querySelectorAll('.config-status[data-file="' + file + '"]').forEach(function(el) {
+        setConfigStatus(el, type, text);
+    });
+}
 
-        if (!inXvncSection) continue;
+/**
+ * @param {object} field - One of CONFIG_FIELDS
+ * @returns {Element} The form row editing the field
+ */
+function renderConfigField(field) {
+    var row = document.createElement('div');
+    row.className = 'config-row';
 
-        if (line === 'param=-MaxDisconnectionTime' || line === 'param=--MaxDisconnectionTime') {
-            if (i + 1 < lines.length) {
-                var match = lines[i + 1].trim().match(/^param=(\d+)$/);
-                if (match) {
-                    return parseInt(match[1], 10);
-                }
-            }
-            return 0;
+    var input;
+    if (field.type === 'choice') {
+        input = document.createElement('select');
+        input.className = 'config-input-select';
+        field.options.forEach(function(option) {
+            input.appendChild(new Option(option.label, option.value));
+        });
+    } else {
+        input = document.createElement('input');
+        if (field.type === 'bool') {
+            input.type = 'checkbox';
+        } else if (field.type === 'number') {
+            input.type = 'number';
+            input.className = 'config-input-number';
+            input.min = field.min;
+            input.max = field.max;
+            input.step = 1;
+        } else {
+            input.type = 'text';
+            input.className = 'config-input-text';
+            input.spellcheck = false;
+            input.placeholder = field.placeholder || '';
         }
     }
-    return 0;
+    input.id = 'config-field-' + field.id;
+
+    var label = document.createElement('label');
+    label.className = 'config-label';
+    if (field.type === 'bool') {
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(field.label));
+        row.appendChild(label);
+    } else {
+        label.classList.add('config-field-label');
+        label.htmlFor = input.id;
+        label.textContent = field.label + ':';
+        row.appendChild(label);
+        row.appendChild(input);
+    }
+
+    var error = document.createElement('span');
+    error.id = 'config-field-error-' + field.id;
+    error.className = 'config-status';
+    row.appendChild(error);
+
+    return row;
 }
 
-function updateMaxDisconnectionTime(iniContents, newValue) {
-    var lines = iniContents.split('\n');
-    var result = [];
-    var inXvncSection = false;
-    var foundAndReplaced = false;
-    var i = 0;
+/**
+ * Build the sections of structured xrdp and guacd settings in the
+ * Configure dialog.
+ */
+function renderConfigFields() {
+    CONFIG_GROUPS.forEach(function(group) {
+        var section = document.createElement('div');
+        section.className = 'config-section';
 
-    while (i < lines.length) {
-        var trimmed = lines[i].trim();
+        var heading = document.createElement('h4');
+        heading.textContent = group.title + ' ';
+        var status = document.createElement('span');
+        status.className = 'config-status';
+        status.dataset.file = group.file;
+        heading.appendChild(status);
+        section.appendChild(heading);
 
-        if (trimmed.match(/^\[.*\]$/)) {
-            // Leaving [Xvnc] without finding the param — inject before the new section
-            if (inXvncSection && !foundAndReplaced && newValue > 0) {
-                result.push('param=-MaxDisconnectionTime');
-                result.push('param=' + newValue);
-                foundAndReplaced = true;
-            }
-            inXvncSection = (trimmed.toLowerCase() === '[xvnc]');
-            result.push(lines[i]);
-            i++;
-            continue;
-        }
+        var description = document.createElement('p');
+        description.className = 'config-description';
+        var path = document.createElement('code');
+        path.textContent = CONFIG_FILE_PATHS[group.file];
+        description.appendChild(document.createTextNode(group.description + ' Applied in '));
+        description.appendChild(path);
+        description.appendChild(document.createTextNode('.'));
+        section.appendChild(description);
 
-        if (inXvncSection &&
-            (trimmed === 'param=-MaxDisconnectionTime' || trimmed === 'param=--MaxDisconnectionTime')) {
-            if (newValue > 0) {
-                result.push('param=-MaxDisconnectionTime');
-                // Skip old value line if it follows
-                if (i + 1 < lines.length && lines[i + 1].trim().match(/^param=\d+$/)) {
-                    i++;
-                }
-                result.push('param=' + newValue);
-            } else {
-                // Remove: skip flag line and value line
-                if (i + 1 < lines.length && lines[i + 1].trim().match(/^param=\d+$/)) {
-                    i++;
+        CONFIG_FIELDS.forEach(function(field) {
+            if (field.group === group.id)
+                section.appendChild(renderConfigField(field));
+        });
+
+        configFields.appendChild(section);
+    });
+}
+
+/**
+ * Show settings in the structured fields. Fields of unreadable files are
+ * disabled, and a value xrdp would accept but the dialog does not offer
+ * is kept as an extra choice.
+ *
+ * @param {object} values - Values keyed by field ID
+ */
+function fillConfigFields(values) {
+    var docs = configDocuments();
+    CONFIG_FIELDS.forEach(function(field) {
+        var input = document.getElementById('config-field-' + field.id);
+        var value = values[field.id];
+
+        if (field.type === 'bool') {
+            input.checked = value;
+        } else {
+            if (field.type === 'choice') {
+                Array.from(input.options).forEach(function(option) {
+                    if (option.dataset.unknown)
+                        option.remove();
+                });
+                if (!Array.from(input.options).some(function(option) { return option.value === value; })) {
+                    var unknown = new Option(value + ' (current)', value);
+                    unknown.dataset.unknown = '1';
+                    input.appendChild(unknown);
                 }
             }
-            foundAndReplaced = true;
-            i++;
-            continue;
+            input.value = value;
         }
 
-        result.push(lines[i]);
-        i++;
-    }
+        input.disabled = !docs[field.file];
+    });
+}
 
-    // Reached end of file while still in [Xvnc] without finding the param
-    if (inXvncSection && !foundAndReplaced && newValue > 0) {
-        result.push('param=-MaxDisconnectionTime');
-        result.push('param=' + newValue);
-    }
+/**
+ * @returns {object} The values of the structured fields, keyed by field ID
+ */
+function readConfigFields() {
+    var values = {};
+    CONFIG_FIELDS.forEach(function(field) {
+        var input = document.getElementById('config-field-' + field.id);
+        if (field.type === 'bool')
+            values[field.id] = input.checked;
+        else if (field.type === 'number')
+            values[field.id] = input.value.trim() === '' ? NaN : Number(input.value);
+        else
+            values[field.id] = input.value.trim();
+    });
+    return values;
+}
+
+/**
+ * @returns {object} The guacd endpoint as entered in the Configure dialog
+ */
+function readGuacdEndpoint() {
+    return {
+        host: configGuacdHost.value.trim(),
+        port: Number(configGuacdPort.value),
+        tls: configGuacdTls.checked,
+        caFile: configGuacdCa.value.trim()
+    };
+}
 
-    return result.join('\n');
+/**
+ * @param {object} endpoint
+ */
+function fillGuacdEndpoint(endpoint) {
+    configGuacdHost.value = endpoint.host;
+    configGuacdPort.value = endpoint.port;
+    configGuacdTls.checked = endpoint.tls;
+    configGuacdCa.value = endpoint.caFile;
+    configGuacdCa.disabled = !endpoint.tls;
 }
 
-function parseXrdpPort(iniContents) {
-    var lines = iniContents.split('\n');
-    var inGlobals = false;
+/**
+ * Validate the whole form: the structured fields plus the disconnection
+ * timeout, listening port and guacd endpoint.
+ *
+ * @param {object} values - Values of the structured fields
+ * @returns {object[]} Problems of the form { id, message }
+ */
+function validateConfigForm(values) {
+    var problems = validateConfigValues(values, configValues);
 
-    for (var i = 0; i < lines.length; i++) {
-        var line = lines[i].trim();
+    if (!/^\d+$/.test(configMaxDisconnectTime.value.trim()))
+        problems.push({ id: 'maxDisconnectTime', message: 'Enter a whole number of seconds.' });
 
-        if (line.match(/^\[.*\]$/)) {
-            inGlobals = (line.toLowerCase() === '[globals]');
-            continue;
-        }
+    var port = Number(configXrdpPort.value);
+    if (!/^\d+$/.test(configXrdpPort.value.trim()) || port < 1 || port > 65535)
+        problems.push({ id: 'xrdpPort', message: 'Enter a port from 1 to 65535.' });
 
-        if (!inGlobals) continue;
+    var endpoint = readGuacdEndpoint();
+    if (!isValidHost(endpoint.host))
+        problems.push({ id: 'guacdHost', message: 'Enter a host name or IP address.' });
+    if (!/^\d+$/.test(configGuacdPort.value.trim()) || endpoint.port < 1 || endpoint.port > 65535)
+        problems.push({ id: 'guacdPort', message: 'Enter a port from 1 to 65535.' });
+    if (endpoint.caFile && endpoint.caFile[0] !== '/')
+        problems.push({ id: 'guacdCaFile', message: 'Enter an absolute path, or leave empty.' });
 
-        var match = line.match(/^port\s*=\s*(.+)$/i);
-        if (match) {
-            var val = parseInt(match[1].trim(), 10);
-            return (val > 0 && val <= 65535) ? val : 3389;
-        }
+    return problems;
+}
+
+/**
+ * Show validation problems next to their fields and focus the first one.
+ *
+ * @param {object[]} problems
+ */
+function showConfigProblems(problems) {
+    var inputs = {
+        maxDisconnectTime: configMaxDisconnectTime,
+        xrdpPort: configXrdpPort,
+        guacdHost: configGuacdHost,
+        guacdPort: configGuacdPort,
+        guacdCaFile: configGuacdCa
+    };
+    var statuses = {
+        maxDisconnectTime: configDisconnectStatus,
+        xrdpPort: configXrdpPortStatus,
+        guacdHost: configGuacdHostStatus,
+        guacdPort: configGuacdPortStatus,
+        guacdCaFile: configGuacdCaStatus
+    };
+
+    problems.forEach(function(problem) {
+        setConfigStatus(statuses[problem.id] || document.getElementById('config-field-error-' + problem.id),
+            'err', problem.message);
+    });
+
+    if (problems.length)
+        (inputs[problems[0].id] || document.getElementById('config-field-' + problems[0].id)).focus();
+}
+
+/**
+ * Work out the new contents of xrdp.ini, sesman.ini and guacd.conf from
+ * the form. Only the lines of changed settings are touched.
+ *
+ * @param {object} values - Values of the structured fields
+ * @returns {object[]} Changed files of the form { file, path, before,
+ *     after }, where before is null for a file that does not exist yet
+ */
+function buildConfigChanges(values) {
+    var docs = configDocuments();
+
+    applyConfigValues(docs, values, configValues);
+
+    var timeout = parseInt(configMaxDisconnectTime.value, 10);
+    if (docs.sesman && timeout !== getMaxDisconnectionTime(docs.sesman))
+        setMaxDisconnectionTime(docs.sesman, timeout);
+
+    var port = parseInt(configXrdpPort.value, 10);
+    if (docs.xrdp && port !== getXrdpPort(docs.xrdp))
+        setXrdpPort(docs.xrdp, port);
+
+    return Object.keys(docs).filter(function(file) {
+        return docs[file] && docs[file].toString() !== (configTexts[file] || '');
+    }).map(function(file) {
+        return {
+            file: file,
+            path: CONFIG_FILE_PATHS[file],
+            before: configTexts[file],
+            after: docs[file].toString()
+        };
+    });
+}
+
+/**
+ * Render a unified diff into a <pre>, colouring added, removed and hunk
+ * header lines.
+ *
+ * @param {Element} pre
+ * @param {string} diff
+ */
+function renderDiff(pre, diff) {
+    diff.split('\n').forEach(function(line) {
+        if (!line)
+            return;
+
+        var span = document.createElement('span');
+        if (line.startsWith('---') || line.startsWith('+++'))
+            span.className = 'diff-file';
+        else if (line.startsWith('@@'))
+            span.className = 'diff-hunk';
+        else if (line[0] === '+')
+            span.className = 'diff-add';
+        else if (line[0] === '-')
+            span.className = 'diff-del';
+        span.textContent = line + '\n';
+        pre.appendChild(span);
+    });
+}
+
+/**
+ * Show one step of the Configure dialog: the settings form, the review of
+ * pending changes, or the history of backups.
+ *
+ * @param {string} view - "form", "review" or "history"
+ */
+function showConfigView(view) {
+    configureContent.classList.toggle('hidden', view !== 'form');
+    configureReview.classList.toggle('hidden', view !== 'review');
+    configureHistory.classList.toggle('hidden', view !== 'history');
+    configureBack.classList.toggle('hidden', view === 'form');
+    configureHistoryBtn.classList.toggle('hidden', view !== 'form');
+    configureApply.classList.toggle('hidden', view === 'history');
+    configureApply.disabled = false;
+    if (view !== 'review')
+        pendingConfigChanges = null;
+}
+
+/**
+ * Switch the Configure dialog to its review step, showing what is about
+ * to be written.
+ *
+ * @param {object[]} changes - From buildConfigChanges(), or a single
+ *     change restoring a backup (with the backup in its restore field)
+ */
+function showConfigReview(changes) {
+    var restore = changes[0].restore;
+
+    showConfigView('review');
+    pendingConfigChanges = changes;
+
+    configureDiff.textContent = '';
+    changes.forEach(function(change) {
+        renderDiff(configureDiff, unifiedDiff(change.before || '', change.after, change.path,
+            restore ? restore.path : change.path));
+    });
+
+    if (!restore) {
+        configureReviewDescription.textContent = 'The following changes will be written. ' +
+            'A backup of each file is kept next to it. Services read their configuration ' +
+            'when they start, so restart them for the changes to take effect.';
+        configureApply.textContent = 'Write Changes';
+    } else if (changes[0].before === changes[0].after) {
+        configureReviewDescription.textContent = 'The version of ' + restore.date.toLocaleString() +
+            ' is identical to the current file.';
+        configureApply.textContent = 'Restore and Restart';
+        configureApply.disabled = true;
+    } else {
+        configureReviewDescription.textContent = 'Restoring the version of ' +
+            restore.date.toLocaleString() + ' makes the following changes, after which ' +
+            CONFIG_FILE_UNITS[changes[0].file].join(' and ') + ' will be restarted. ' +
+            'The current file is backed up first.';
+        configureApply.textContent = 'Restore and Restart';
     }
-    return 3389;
 }
 
-function updateXrdpPort(iniContents, newPort) {
-    var lines = iniContents.split('\n');
-    var result = [];
-    var inGlobals = false;
-    var foundAndReplaced = false;
+/**
+ * Switch the Configure dialog back to the settings form.
+ */
+function showConfigForm() {
+    showConfigView('form');
+    configureApply.textContent = 'Apply';
+}
 
-    for (var i = 0; i < lines.length; i++) {
-        var trimmed = lines[i].trim();
+/**
+ * Switch the Configure dialog to the list of configuration backups.
+ */
+function showConfigHistory() {
+    showConfigView('history');
+    configureHistoryList.textContent = '';
 
-        if (trimmed.match(/^\[.*\]$/)) {
-            if (inGlobals && !foundAndReplaced) {
-                result.push('port=' + newPort);
-                foundAndReplaced = true;
-            }
-            inGlobals = (trimmed.toLowerCase() === '[globals]');
-            result.push(lines[i]);
-            continue;
-        }
+    var loading = document.createElement('li');
+    loading.className = 'config-history-empty';
+    loading.textContent = 'Loading backups\u2026';
+    configureHistoryList.appendChild(loading);
 
-        if (inGlobals && trimmed.match(/^port\s*=/i)) {
-            result.push('port=' + newPort);
-            foundAndReplaced = true;
-            continue;
-        }
+    var paths = Object.keys(CONFIG_FILE_PATHS).map(function(file) {
+        return CONFIG_FILE_PATHS[file];
+    });
+    listConfigBackups(paths)
+        .then(renderConfigHistory)
+        .catch(function(err) {
+            configureHistoryList.textContent = '';
+            var error = document.createElement('li');
+            error.className = 'config-history-empty config-history-error';
+            error.textContent = 'Could not list backups: ' + (err.message || err);
+            configureHistoryList.appendChild(error);
+        });
+}
 
-        result.push(lines[i]);
+/**
+ * @param {object[]} backups - Entries from listConfigBackups()
+ */
+function renderConfigHistory(backups) {
+    configureHistoryList.textContent = '';
+
+    if (backups.length === 0) {
+        var empty = document.createElement('li');
+        empty.className = 'config-history-empty';
+        empty.textContent = 'No backups yet. One is made every time a configuration file is changed here.';
+        configureHistoryList.appendChild(empty);
+        return;
     }
 
-    if (inGlobals && !foundAndReplaced) {
-        result.push('port=' + newPort);
+    backups.forEach(function(backup) {
+        var item = document.createElement('li');
+        item.className = 'config-history-entry';
+
+        var info = document.createElement('div');
+        info.className = 'config-history-info';
+
+        var name = document.createElement('div');
+        name.className = 'config-history-name';
+        name.textContent = backup.original;
+
+        var meta = document.createElement('div');
+        meta.className = 'config-history-meta';
+        meta.textContent = backup.date.toLocaleString();
+        meta.title = backup.path;
+
+        info.appendChild(name);
+        info.appendChild(meta);
+
+        var restore = document.createElement('button');
+        restore.className = 'btn-small';
+        restore.textContent = 'Restore\u2026';
+        restore.addEventListener('click', function() {
+            restore.disabled = true;
+            reviewConfigRestore(backup).catch(function(err) {
+                restore.disabled = false;
+                meta.textContent = 'Could not read backup: ' + (err.message || err);
+            });
+        });
+
+        item.appendChild(info);
+        item.appendChild(restore);
+        configureHistoryList.appendChild(item);
+    });
+}
+
+/**
+ * Show what restoring a backup would change.
+ *
+ * @param {object} backup - An entry from listConfigBackups()
+ * @returns {Promise}
+ */
+function reviewConfigRestore(backup) {
+    var file = Object.keys(CONFIG_FILE_PATHS).filter(function(key) {
+        return CONFIG_FILE_PATHS[key] === backup.original;
+    })[0];
+
+    return readConfigBackup(backup).then(function(content) {
+        showConfigReview([{
+            file: file,
+            path: backup.original,
+            before: configTexts[file],
+            after: content,
+            restore: backup
+        }]);
+    });
+}
+
+/**
+ * Restore a backup, restart the services reading the file and reload the
+ * dialog.
+ *
+ * @param {object} change - The change built by reviewConfigRestore()
+ */
+function restoreConfiguration(change) {
+    configureApply.disabled = true;
+    configureBack.disabled = true;
+    configureApply.textContent = 'Restoring...';
+
+    var units = CONFIG_FILE_UNITS[change.file];
+
+    writeConfigFile(change.path, change.before, change.after, configTags[change.file])
+        .then(function() {
+            return loadConfigState().then(function() {
+                setConfigFileStatus(change.file, 'ok',
+                    'Restored version of ' + change.restore.date.toLocaleString());
+                return restartConfigUnits(units);
+            });
+        })
+        .catch(function(err) {
+            return loadConfigState().then(function() {
+                configureError.textContent = err.message || String(err);
+                configureError.classList.remove('hidden');
+            });
+        })
+        .finally(function() {
+            configureBack.disabled = false;
+        });
+}
+
+/**
+ * Offer to restart the units reading configuration files that were
+ * written, adding to any restart already pending.
+ *
+ * @param {string[]} units
+ */
+function offerConfigRestart(units) {
+    units.forEach(function(unit) {
+        if (configRestartUnits.indexOf(unit) === -1)
+            configRestartUnits.push(unit);
+    });
+
+    configRestartMessage.textContent = configRestartUnits.join(' and ') +
+        ' must be restarted for the changes to take effect. Restarting disconnects ' +
+        'current RDP connections, including those open in this page.';
+    configRestartBtn.textContent = 'Restart Now';
+    configRestartBtn.disabled = false;
+    configRestartBtn.classList.remove('hidden');
+    setConfigStatus(configRestartStatus, 'info', '');
+    configRestartJournal.classList.add('hidden');
+    configRestart.classList.remove('hidden');
+    configRestart.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Describe why a health check failed.
+ *
+ * @param {object} result - From checkServiceHealth()
+ * @param {?number} port
+ * @returns {string}
+ */
+function describeUnhealthy(result, port) {
+    var problems = Object.keys(result.units).filter(function(unit) {
+        return result.units[unit].activeState !== 'active';
+    }).map(function(unit) {
+        var state = result.units[unit];
+        if (state.loadState === 'not-found')
+            return unit + ' is not installed';
+        return unit + ' is ' + state.activeState + (state.subState ? ' (' + state.subState + ')' : '');
+    });
+
+    if (result.listening === false)
+        problems.push('nothing is listening on port ' + port);
+
+    return problems.join(', ') + '.';
+}
+
+/**
+ * Restart units and check that they came back: active, xrdp (or else
+ * guacd) listening on its configured port, or the journal of the startup
+ * if not. The xrdp port of the connection form follows the port xrdp
+ * actually listens on.
+ *
+ * @param {string[]} units
+ * @returns {Promise}
+ */
+function restartConfigUnits(units) {
+    var listener = null;
+    var port = null;
+    if (units.indexOf('xrdp') !== -1 && configTexts.xrdp !== null) {
+        listener = 'xrdp';
+        port = getXrdpPort(parseConfigFile(configTexts.xrdp));
+    } else if (units.indexOf('guacd') !== -1) {
+        listener = 'guacd';
+        port = configValues.guacdBindPort;
     }
+    var since = new Date();
+
+    configRestartUnits = units.slice();
+    configRestartMessage.textContent = 'Restarting ' + units.join(' and ') + '\u2026';
+    configRestartBtn.classList.add('hidden');
+    setConfigStatus(configRestartStatus, 'info', '');
+    configRestartJournal.classList.add('hidden');
+    configRestart.classList.remove('hidden');
+    configRestart.scrollIntoView({ block: 'nearest' });
+
+    // A failed start makes systemctl fail too; the health check then
+    // collects the details
+    var restartError = null;
+    return restartServices(units)
+        .catch(function(err) {
+            restartError = err;
+        })
+        .then(function() {
+            return checkServiceHealth(units, port, since);
+        })
+        .then(function(result) {
+            if (result.listening && listener === 'xrdp') {
+                xrdpPort = port;
+                if (protocolSelect.value === 'rdp')
+                    portInput.value = xrdpPort;
+            }
+
+            if (result.healthy) {
+                configRestartUnits = [];
+                configRestartMessage.textContent = 'Restarted ' + units.join(' and ') + '.' +
+                    (port ? ' ' + listener + ' is listening on port ' + port + '.' : '');
+                setConfigStatus(configRestartStatus, 'ok', 'Healthy');
+                return;
+            }
 
-    return result.join('\n');
+            configRestartMessage.textContent = 'After restarting, ' + describeUnhealthy(result, port) +
+                (restartError ? ' ' + (restartError.message || restartError) : '');
+            setConfigStatus(configRestartStatus, 'err', 'Failed');
+            if (result.journal) {
+                configRestartJournal.textContent = result.journal;
+                configRestartJournal.classList.remove('hidden');
+            }
+            configRestartBtn.textContent = 'Restart Again';
+            configRestartBtn.disabled = false;
+            configRestartBtn.classList.remove('hidden');
+        })
+        .catch(function(err) {
+            configRestartMessage.textContent = 'Could not check the services: ' + (err.message || err);
+            setConfigStatus(configRestartStatus, 'err', 'Failed');
+            configRestartBtn.textContent = 'Restart Again';
+            configRestartBtn.disabled = false;
+            configRestartBtn.classList.remove('hidden');
+        });
 }
 
 function loadConfigState() {
+    showConfigForm();
+    configRestart.classList.add('hidden');
+    configRestartUnits = [];
     configureLoading.classList.remove('hidden');
     configureContent.classList.add('hidden');
     configureError.classList.add('hidden');
@@ -637,25 +4097,30 @@ function loadConfigState() {
         cockpit.user().then(function(userInfo) { return userInfo; })
     );
 
-    // 4. Read sesman.ini for MaxDisconnectionTime
-    promises.push(
-        cockpit.spawn(['cat', '/etc/xrdp/sesman.ini'])
-            .then(function(contents) { return contents; })
-            .catch(function() { return null; })
-    );
+    // 4. Read sesman.ini for session settings
+    promises.push(readConfigFile(SESMAN_INI));
+
+    // 5. Read xrdp.ini for the listening port and connection settings
+    promises.push(readConfigFile(XRDP_INI));
 
-    // 5. Read xrdp.ini for listening port
+    // 6. Read guacd.conf, which may not exist
+    promises.push(readConfigFile(GUACD_CONF));
+
+    // 7. Read where the user reaches guacd
     promises.push(
-        cockpit.spawn(['cat', '/etc/xrdp/xrdp.ini'])
-            .then(function(contents) { return contents; })
-            .catch(function() { return null; })
+        loadGuacdEndpoint()
+            .then(function(endpoint) {
+                guacdEndpoint = endpoint;
+                return endpoint;
+            })
+            .catch(function() { return guacdEndpoint; })
     );
 
-    Promise.all(promises).then(function(results) {
+    return Promise.all(promises).then(function(results) {
         var xrdpEnabled = results[0];
         var guacdEnabled = results[1];
         var userInfo = results[2];
-        var sesmanContents = results[3];
+        var sesmanFile = results[3];
 
         configXrdpEnabled.checked = xrdpEnabled;
         configGuacdEnabled.checked = guacdEnabled;
@@ -690,19 +4155,28 @@ function loadConfigState() {
                 });
         }
 
-        var maxDisconnectTime = 0;
-        if (sesmanContents) {
-            maxDisconnectTime = parseMaxDisconnectionTime(sesmanContents);
-        }
-        configMaxDisconnectTime.value = maxDisconnectTime;
+        configTexts = { xrdp: results[4].content, sesman: sesmanFile.content, guacd: results[5].content };
+        configTags = { xrdp: results[4].tag, sesman: sesmanFile.tag, guacd: results[5].tag };
+        var docs = configDocuments();
 
-        var xrdpIniContents = results[4];
-        var xrdpPort = 3389;
-        if (xrdpIniContents) {
-            xrdpPort = parseXrdpPort(xrdpIniContents);
-        }
+        fillGuacdEndpoint(results[6]);
+
+        configValues = readConfigValues(docs);
+        fillConfigFields(configValues);
+
+        configMaxDisconnectTime.value = docs.sesman ? getMaxDisconnectionTime(docs.sesman) : 0;
+        configMaxDisconnectTime.disabled = !docs.sesman;
+
+        xrdpPort = docs.xrdp ? getXrdpPort(docs.xrdp) : DEFAULT_PORTS.rdp;
         configXrdpPort.value = xrdpPort;
-        portInput.value = xrdpPort;
+        configXrdpPort.disabled = !docs.xrdp;
+
+        Object.keys(docs).forEach(function(file) {
+            if (!docs[file])
+                setConfigFileStatus(file, 'err', 'Could not read ' + CONFIG_FILE_PATHS[file]);
+        });
+        if (protocolSelect.value === 'rdp')
+            portInput.value = xrdpPort;
 
         configureLoading.classList.add('hidden');
         configureContent.classList.remove('hidden');
@@ -711,8 +4185,38 @@ function loadConfigState() {
     });
 }
 
+/**
+ * Validate the Configure dialog and either apply it right away or, if
+ * configuration files would change, show the changes for review first.
+ */
 function applyConfiguration() {
+    clearAllConfigStatuses();
+    configureError.classList.add('hidden');
+
+    var values = readConfigFields();
+    var problems = validateConfigForm(values);
+    if (problems.length) {
+        showConfigProblems(problems);
+        configureError.textContent = 'Some settings are not valid. See details above.';
+        configureError.classList.remove('hidden');
+        return;
+    }
+
+    var changes = buildConfigChanges(values);
+    if (changes.length)
+        showConfigReview(changes);
+    else
+        writeConfiguration(changes);
+}
+
+/**
+ * Apply the service settings and write the changed configuration files.
+ *
+ * @param {object[]} changes - From buildConfigChanges()
+ */
+function writeConfiguration(changes) {
     configureApply.disabled = true;
+    configureBack.disabled = true;
     configureApply.textContent = 'Applying...';
     clearAllConfigStatuses();
     configureError.classList.add('hidden');
@@ -745,51 +4249,58 @@ function applyConfiguration() {
             })
     );
 
-    // 3. MaxDisconnectionTime in sesman.ini
-    var newTimeout = parseInt(configMaxDisconnectTime.value, 10);
-    if (isNaN(newTimeout) || newTimeout < 0) newTimeout = 0;
-
-    operations.push(
-        cockpit.spawn(['cat', '/etc/xrdp/sesman.ini'], { err: 'message' })
-            .then(function(contents) {
-                var updated = updateMaxDisconnectionTime(contents, newTimeout);
-                return cockpit.file('/etc/xrdp/sesman.ini', { superuser: 'require' })
-                    .replace(updated);
-            })
-            .then(function() {
-                setConfigStatus(configDisconnectStatus, 'ok', 'Done');
-            })
-            .catch(function(err) {
-                setConfigStatus(configDisconnectStatus, 'err', 'Failed: ' + (err.message || err));
-                throw err;
-            })
-    );
-
-    // 4. XRDP listening port in xrdp.ini
-    var newPort = parseInt(configXrdpPort.value, 10);
-    if (isNaN(newPort) || newPort < 1 || newPort > 65535) newPort = 3389;
+    // 3. Where guacd is reached
+    var endpoint = readGuacdEndpoint();
+    var endpointChanged = Object.keys(endpoint).some(function(key) {
+        return endpoint[key] !== guacdEndpoint[key];
+    });
+    if (endpointChanged) {
+        operations.push(
+            saveGuacdEndpoint(endpoint)
+                .then(function() {
+                    guacdEndpoint = endpoint;
+                    setConfigStatus(configGuacdEndpointStatus, 'ok', 'Saved');
+                })
+                .catch(function(err) {
+                    setConfigStatus(configGuacdEndpointStatus, 'err', 'Failed: ' + (err.message || err));
+                    throw err;
+                })
+        );
+    }
 
-    operations.push(
-        cockpit.spawn(['cat', '/etc/xrdp/xrdp.ini'], { err: 'message' })
-            .then(function(contents) {
-                var updated = updateXrdpPort(contents, newPort);
-                return cockpit.file('/etc/xrdp/xrdp.ini', { superuser: 'require' })
-                    .replace(updated);
-            })
-            .then(function() {
-                setConfigStatus(configXrdpPortStatus, 'ok', 'Done');
-                portInput.value = newPort;
-            })
-            .catch(function(err) {
-                setConfigStatus(configXrdpPortStatus, 'err', 'Failed: ' + (err.message || err));
-                throw err;
-            })
-    );
+    // 4. Changed configuration files
+    var written = [];
+    changes.forEach(function(change) {
+        operations.push(
+            writeConfigFile(change.path, change.before, change.after, configTags[change.file])
+                .then(function(tag) {
+                    configTexts[change.file] = change.after;
+                    configTags[change.file] = tag;
+                    setConfigFileStatus(change.file, 'ok', 'Done');
+                    written.push(change.file);
+                })
+                .catch(function(err) {
+                    setConfigFileStatus(change.file, 'err', 'Failed: ' + (err.message || err));
+                    throw err;
+                })
+        );
+    });
 
     Promise.allSettled(operations).then(function(results) {
         var anyFailed = results.some(function(r) { return r.status === 'rejected'; });
-        configureApply.disabled = false;
-        configureApply.textContent = 'Apply';
+
+        // Later changes are compared with what is now on disk
+        configValues = readConfigValues(configDocuments());
+
+        showConfigForm();
+        configureBack.disabled = false;
+
+        var units = [];
+        written.forEach(function(file) {
+            units = units.concat(CONFIG_FILE_UNITS[file]);
+        });
+        if (units.length)
+            offerConfigRestart(units);
 
         if (anyFailed) {
             configureError.textContent = 'Some settings could not be applied. See details above.';
@@ -798,6 +4309,10 @@ function applyConfiguration() {
     });
 }
 
+configGuacdTls.addEventListener('change', function() {
+    configGuacdCa.disabled = !configGuacdTls.checked;
+});
+
 configureBtn.addEventListener('click', function() {
     configureDialog.classList.remove('hidden');
     loadConfigState();
@@ -808,7 +4323,26 @@ configureCancel.addEventListener('click', function() {
 });
 
 configureApply.addEventListener('click', function() {
-    applyConfiguration();
+    if (pendingConfigChanges && pendingConfigChanges[0].restore)
+        restoreConfiguration(pendingConfigChanges[0]);
+    else if (pendingConfigChanges)
+        writeConfiguration(pendingConfigChanges);
+    else
+        applyConfiguration();
+});
+
+configureBack.addEventListener('click', function() {
+    if (pendingConfigChanges && pendingConfigChanges[0].restore)
+        showConfigHistory();
+    else
+        showConfigForm();
+});
+
+configureHistoryBtn.addEventListener('click', showConfigHistory);
+
+configRestartBtn.addEventListener('click', function() {
+    configRestartBtn.disabled = true;
+    restartConfigUnits(configRestartUnits);
 });
 
 configAddGroups.addEventListener('click', function() {
@@ -844,8 +4378,21 @@ configureDialog.addEventListener('keydown', function(e) {
 });
 
 // Initialize
-checkAllServices();
-setInterval(checkAllServices, 30000);
+renderConfigFields();
+renderLogFilters();
+serviceMonitor = new ServiceMonitor(['guacd', 'xrdp', 'xrdp-sesman']);
+serviceMonitor.onchange = handleServiceChange;
 
 // Set initial UI state
-setUIState('disconnected');
+showConnectionPanel();
+initProfiles();
+initMacros();
+applyJoinLink();
+loadGuacdEndpoint()
+    .then(function(endpoint) {
+        guacdEndpoint = endpoint;
+    })
+    .catch(function() { /* connect to the local guacd */ });
+loadRecentHosts()
+    .then(renderRecentHosts)
+    .catch(function() { /* the list is a convenience only */ });
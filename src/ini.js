@@ -0,0 +1,247 @@
+/**
+ * Comment-preserving INI documents, as used by xrdp.ini and sesman.ini.
+ *
+ * The text is kept line by line; reading never changes it, and editing a
+ * value rewrites only the line holding it. Comments, blank lines, key
+ * spelling and spacing around "=" survive a round trip unchanged.
+ *
+ * Like xrdp itself, section and key names are matched case-insensitively,
+ * lines starting with "#" or ";" are comments, and everything after the
+ * first "=" is the value. Keys may repeat within a section (e.g. the
+ * "param" lines of sesman.ini's [Xvnc] section); get() returns the first
+ * occurrence and getAll() all of them.
+ */
+
+/**
+ * Classify one line of INI text.
+ *
+ * @param {string} raw
+ * @returns {object} { raw, type, name, key, value } where type is
+ *     "section", "entry" or "other" (blank lines and comments)
+ */
+function parseLine(raw) {
+    var trimmed = raw.trim();
+
+    var section = trimmed.match(/^\[(.*)\]$/);
+    if (section)
+        return { raw: raw, type: 'section', name: section[1].trim() };
+
+    if (trimmed && trimmed[0] !== '#' && trimmed[0] !== ';') {
+        var eq = trimmed.indexOf('=');
+        if (eq > 0) {
+            return {
+                raw: raw,
+                type: 'entry',
+                key: trimmed.substring(0, eq).trim(),
+                value: trimmed.substring(eq + 1).trim()
+            };
+        }
+    }
+
+    return { raw: raw, type: 'other' };
+}
+
+function sameName(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * A parsed INI file that can be edited and serialized again.
+ *
+ * @constructor
+ * @param {string} text
+ *     The file contents.
+ */
+export function IniDocument(text) {
+
+    text = text || '';
+
+    var eol = text.indexOf('\r\n') !== -1 ? '\r\n' : '\n';
+    var lines = text ? text.split(/\r?\n/).map(parseLine) : [];
+
+    // A final newline shows up as an empty last line; keep it out of the
+    // way of appended entries and restore it when serializing. Content
+    // added to an empty file gets one too.
+    var finalNewline = !text || lines[lines.length - 1].raw === '';
+    if (text && finalNewline)
+        lines.pop();
+
+    /**
+     * Find a section.
+     *
+     * @private
+     * @param {string} section
+     * @returns {?{start: number, end: number, last: number}} Index of the
+     *     header line, the index just past the section, and the index of
+     *     its last entry (the header if it has none); null if missing
+     */
+    function findSection(section) {
+        for (var i = 0; i < lines.length; i++) {
+            if (lines[i].type === 'section' && sameName(lines[i].name, section)) {
+                var end = i + 1;
+                var last = i;
+                while (end < lines.length && lines[end].type !== 'section') {
+                    if (lines[end].type === 'entry')
+                        last = end;
+                    end++;
+                }
+                return { start: i, end: end, last: last };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Indexes of the lines holding a key, in file order.
+     *
+     * @private
+     * @param {string} section
+     * @param {string} key
+     * @returns {number[]}
+     */
+    function findEntries(section, key) {
+        var found = findSection(section);
+        var indexes = [];
+        if (!found)
+            return indexes;
+        for (var i = found.start + 1; i < found.end; i++) {
+            if (lines[i].type === 'entry' && sameName(lines[i].key, key))
+                indexes.push(i);
+        }
+        return indexes;
+    }
+
+    /**
+     * Rewrite an entry line with a new value, keeping its indentation,
+     * key spelling and spacing around "=".
+     *
+     * @private
+     * @param {number} index
+     * @param {string} value
+     */
+    function replaceValue(index, value) {
+        var prefix = lines[index].raw.match(/^\s*[^=]*?\s*=\s*/)[0];
+        lines[index] = parseLine(prefix + value);
+    }
+
+    /**
+     * @returns {string[]} Section names in file order
+     */
+    this.getSections = function getSections() {
+        return lines.filter(function(line) {
+            return line.type === 'section';
+        }).map(function(line) {
+            return line.name;
+        });
+    };
+
+    /**
+     * @param {string} section
+     * @returns {boolean}
+     */
+    this.hasSection = function hasSection(section) {
+        return findSection(section) !== null;
+    };
+
+    /**
+     * @param {string} section
+     * @param {string} key
+     * @returns {?string} The first value of the key, or null if missing
+     */
+    this.get = function get(section, key) {
+        var indexes = findEntries(section, key);
+        return indexes.length ? lines[indexes[0]].value : null;
+    };
+
+    /**
+     * @param {string} section
+     * @param {string} key
+     * @returns {string[]} All values of a repeated key, in file order
+     */
+    this.getAll = function getAll(section, key) {
+        return findEntries(section, key).map(function(index) {
+            return lines[index].value;
+        });
+    };
+
+    /**
+     * Set a key, replacing the value of its first occurrence in place.
+     * A missing key is added after the last entry of its section, and a
+     * missing section is appended to the end of the file.
+     *
+     * @param {string} section
+     * @param {string} key
+     * @param {string} value
+     */
+    this.set = function set(section, key, value) {
+        var indexes = findEntries(section, key);
+        if (indexes.length)
+            replaceValue(indexes[0], String(value));
+        else
+            this.setAll(section, key, [value]);
+    };
+
+    /**
+     * Replace all occurrences of a repeated key with the given values.
+     * Existing lines are reused in order, surplus ones are removed and
+     * further values are inserted after the last existing one.
+     *
+     * @param {string} section
+     * @param {string} key
+     * @param {string[]} values
+     */
+    this.setAll = function setAll(section, key, values) {
+        var indexes = findEntries(section, key);
+        var shared = Math.min(indexes.length, values.length);
+
+        for (var i = 0; i < shared; i++)
+            replaceValue(indexes[i], String(values[i]));
+
+        // Remove from the end so the remaining indexes stay valid
+        for (var j = indexes.length - 1; j >= values.length; j--)
+            lines.splice(indexes[j], 1);
+
+        var extra = values.slice(shared).map(function(value) {
+            return parseLine(key + '=' + value);
+        });
+        if (!extra.length)
+            return;
+
+        var insertAt;
+        if (indexes.length) {
+            insertAt = indexes[shared - 1] + 1;
+        } else {
+            var found = findSection(section);
+            if (!found) {
+                if (lines.length && lines[lines.length - 1].raw.trim() !== '')
+                    lines.push(parseLine(''));
+                lines.push(parseLine('[' + section + ']'));
+                found = findSection(section);
+            }
+            insertAt = found.last + 1;
+        }
+
+        Array.prototype.splice.apply(lines, [insertAt, 0].concat(extra));
+    };
+
+    /**
+     * Remove every occurrence of a key.
+     *
+     * @param {string} section
+     * @param {string} key
+     */
+    this.remove = function remove(section, key) {
+        this.setAll(section, key, []);
+    };
+
+    /**
+     * @returns {string} The document as INI text
+     */
+    this.toString = function toString() {
+        var body = lines.map(function(line) {
+            return line.raw;
+        }).join(eol);
+        return finalNewline && lines.length ? body + eol : body;
+    };
+
+}
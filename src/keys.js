@@ -0,0 +1,157 @@
+/**
+ * Synthetic key sequences for combinations the browser or the local OS
+ * intercept (Ctrl+Alt+Del, Alt+Tab, Super, ...).
+ *
+ * A sequence is written as comma-separated combinations of plus-separated
+ * key names, e.g. "Ctrl+Alt+Del" or "Super+R, Enter". Key names are the
+ * names in KEY_NAMES (case-insensitive) or single characters.
+ */
+
+/**
+ * Keysyms of the named keys accepted in key sequences.
+ */
+var KEY_NAMES = {
+    ctrl: 0xFFE3,
+    control: 0xFFE3,
+    shift: 0xFFE1,
+    alt: 0xFFE9,
+    altgr: 0xFE03,
+    super: 0xFFEB,
+    win: 0xFFEB,
+    meta: 0xFFE7,
+    backspace: 0xFF08,
+    tab: 0xFF09,
+    enter: 0xFF0D,
+    return: 0xFF0D,
+    esc: 0xFF1B,
+    escape: 0xFF1B,
+    space: 0x0020,
+    del: 0xFFFF,
+    delete: 0xFFFF,
+    insert: 0xFF63,
+    home: 0xFF50,
+    end: 0xFF57,
+    pgup: 0xFF55,
+    pageup: 0xFF55,
+    pgdn: 0xFF56,
+    pagedown: 0xFF56,
+    left: 0xFF51,
+    up: 0xFF52,
+    right: 0xFF53,
+    down: 0xFF54,
+    print: 0xFF61,
+    printscreen: 0xFF61,
+    menu: 0xFF67,
+    pause: 0xFF13,
+    capslock: 0xFFE5,
+    numlock: 0xFF7F,
+    scrolllock: 0xFF14
+};
+
+// F1 is 0xFFBE, the following function keys are consecutive
+for (var i = 1; i <= 24; i++) {
+    KEY_NAMES['f' + i] = 0xFFBD + i;
+}
+
+/**
+ * Combinations offered in the key menu of every session.
+ */
+export var BUILTIN_COMBOS = [
+    { name: 'Ctrl+Alt+Del', sequence: 'Ctrl+Alt+Del' },
+    { name: 'Ctrl+Shift+Esc', sequence: 'Ctrl+Shift+Esc' },
+    { name: 'Alt+Tab', sequence: 'Alt+Tab' },
+    { name: 'Alt+F4', sequence: 'Alt+F4' },
+    { name: 'Super', sequence: 'Super' },
+    { name: 'Super+L (lock)', sequence: 'Super+L' },
+    { name: 'Print Screen', sequence: 'PrintScreen' },
+    { name: 'Ctrl+Alt+Backspace', sequence: 'Ctrl+Alt+Backspace' },
+    { name: 'Ctrl+Alt+F1', sequence: 'Ctrl+Alt+F1' },
+    { name: 'Ctrl+Alt+F2', sequence: 'Ctrl+Alt+F2' },
+    { name: 'Ctrl+Alt+F7', sequence: 'Ctrl+Alt+F7' }
+];
+
+/**
+ * Return the keysym of a single character.
+ *
+ * @param {string} ch
+ * @returns {number}
+ */
+function charKeysym(ch) {
+    var codepoint = ch.codePointAt(0);
+    return codepoint <= 0xFF ? codepoint : (0x01000000 | codepoint);
+}
+
+/**
+ * Parse a key sequence.
+ *
+ * @param {string} text - e.g. "Ctrl+Alt+Del" or "Super+R, Enter"
+ * @returns {number[][]} One array of keysyms per combination
+ * @throws {Error} If the sequence is empty or names an unknown key
+ */
+export function parseKeySequence(text) {
+    var combos = (text || '').split(',').map(function(combo) {
+        return combo.trim();
+    }).filter(function(combo) {
+        return combo;
+    });
+
+    if (combos.length === 0) {
+        throw new Error('The key sequence is empty.');
+    }
+
+    return combos.map(function(combo) {
+        // A trailing "+" is the plus key itself, as in "Ctrl++"
+        var names = combo.replace(/\+\+$/, '+plus').split('+');
+        return names.map(function(name) {
+            name = name.trim();
+            if (name === 'plus') {
+                return charKeysym('+');
+            }
+            if (Array.from(name).length === 1) {
+                return charKeysym(name.toLowerCase());
+            }
+            var keysym = KEY_NAMES[name.toLowerCase()];
+            if (keysym === undefined) {
+                throw new Error('Unknown key "' + name + '" in "' + combo + '".');
+            }
+            return keysym;
+        });
+    });
+}
+
+/**
+ * Press and release key combinations on the remote side. Within each
+ * combination keys are pressed in order and released in reverse order.
+ *
+ * @param {Guacamole.Client} client
+ * @param {number[][]} combos - As returned by parseKeySequence()
+ */
+export function sendKeySequence(client, combos) {
+    combos.forEach(function(keysyms) {
+        keysyms.forEach(function(keysym) {
+            client.sendKeyEvent(1, keysym);
+        });
+        keysyms.slice().reverse().forEach(function(keysym) {
+            client.sendKeyEvent(0, keysym);
+        });
+    });
+}
+
+/**
+ * Return a copy of a macro list restricted to valid { name, sequence }
+ * entries.
+ *
+ * @param {*} data - Raw macro data (e.g. read from disk)
+ * @returns {object[]}
+ */
+export function normalizeMacros(data) {
+    if (!Array.isArray(data)) {
+        return [];
+    }
+    return data.filter(function(macro) {
+        return macro && typeof macro.name === 'string' && macro.name &&
+            typeof macro.sequence === 'string' && macro.sequence;
+    }).map(function(macro) {
+        return { name: macro.name, sequence: macro.sequence };
+    });
+}
@@ -0,0 +1,254 @@
+/**
+ * Service logs of guacd, xrdp and xrdp-sesman.
+ *
+ * The journal of the three units is followed with "journalctl -f" in JSON
+ * output, and xrdp's own log files are followed with "tail -F" where they
+ * exist, since xrdp often logs more there than to the journal. Entries
+ * from all sources are merged into one list ordered by time.
+ *
+ * Log files are usually readable by root only, so everything is read
+ * with superuser: 'try'.
+ */
+
+export var LOG_UNITS = ['guacd', 'xrdp', 'xrdp-sesman'];
+
+var LOG_FILES = [
+    { path: '/var/log/xrdp.log', unit: 'xrdp' },
+    { path: '/var/log/xrdp-sesman.log', unit: 'xrdp-sesman' }
+];
+
+/**
+ * Syslog priorities offered as filters; each shows its own and all more
+ * severe entries.
+ */
+export var LOG_PRIORITIES = [
+    { value: 3, label: 'Errors' },
+    { value: 4, label: 'Warnings and above' },
+    { value: 5, label: 'Notices and above' },
+    { value: 6, label: 'Info and above' },
+    { value: 7, label: 'Everything' }
+];
+
+// Entries read from the past when starting, per source, and kept overall
+var HISTORY_LINES = 500;
+var MAX_ENTRIES = 5000;
+
+// xrdp log levels mapped to syslog priorities
+var XRDP_LEVELS = {
+    ERROR: 3,
+    WARN: 4,
+    WARNING: 4,
+    INFO: 6,
+    DEBUG: 7,
+    TRACE: 7
+};
+
+// "[20261019-15:30:00] [INFO ] ..." (xrdp 0.9) or
+// "[2026-10-19T15:30:00.123+0200] [INFO ] ..." (xrdp 0.10)
+var XRDP_LINE_PATTERN = /^\[(\d{4})-?(\d{2})-?(\d{2})[-T](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?([+-]\d{2}:?\d{2}|Z)?\]\s*\[\s*(\w+)\s*\]\s?(.*)$/;
+
+/**
+ * Parse a line of "journalctl -o json" output.
+ *
+ * @param {string} line
+ * @returns {?object} A log entry, or null if the line is not an entry
+ */
+function parseJournalLine(line) {
+    var record;
+    try {
+        record = JSON.parse(line);
+    } catch (e) {
+        return null;
+    }
+
+    var message = record.MESSAGE;
+    // Messages that are not valid UTF-8 come as byte arrays
+    if (Array.isArray(message))
+        message = new TextDecoder().decode(new Uint8Array(message));
+
+    var unit = (record._SYSTEMD_UNIT || record.SYSLOG_IDENTIFIER || '').replace(/\.service$/, '');
+
+    return {
+        time: new Date(parseInt(record.__REALTIME_TIMESTAMP, 10) / 1000),
+        priority: record.PRIORITY !== undefined ? parseInt(record.PRIORITY, 10) : 6,
+        unit: unit,
+        source: 'journal',
+        message: message || ''
+    };
+}
+
+/**
+ * Parse a line of an xrdp log file.
+ *
+ * @param {string} line
+ * @param {object} file - The LOG_FILES entry the line is from
+ * @param {?object} previous - The previous entry of the same file; lines
+ *     without a timestamp of their own continue it
+ * @returns {?object} A log entry, or null for empty lines
+ */
+function parseXrdpLine(line, file, previous) {
+    if (!line.trim())
+        return null;
+
+    var match = line.match(XRDP_LINE_PATTERN);
+    if (!match) {
+        return {
+            time: previous ? previous.time : new Date(),
+            priority: previous ? previous.priority : 6,
+            unit: file.unit,
+            source: file.path,
+            message: line
+        };
+    }
+
+    var time;
+    var iso = match[1] + '-' + match[2] + '-' + match[3] + 'T' + match[4] + ':' + match[5] + ':' + match[6] +
+        (match[7] ? '.' + match[7].substring(0, 3) : '');
+    if (match[8])
+        time = new Date(iso + (match[8] === 'Z' ? 'Z' : match[8].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2')));
+    else
+        time = new Date(iso);
+
+    return {
+        time: time,
+        priority: XRDP_LEVELS[match[9].toUpperCase()] || 6,
+        unit: file.unit,
+        source: file.path,
+        message: match[10]
+    };
+}
+
+/**
+ * Run a command and hand each complete line of its output to a callback.
+ *
+ * @param {string[]} args
+ * @param {function(string[])} onlines - Receives the lines of each chunk
+ * @returns {object} The cockpit.spawn() process
+ */
+function spawnLines(args, onlines) {
+    var pending = '';
+    var proc = cockpit.spawn(args, { superuser: 'try', err: 'message' });
+    proc.stream(function(data) {
+        var lines = (pending + data).split('\n');
+        pending = lines.pop();
+        onlines(lines);
+    });
+    return proc;
+}
+
+/**
+ * Follows the service logs, keeping the most recent entries in memory.
+ *
+ * @constructor
+ */
+export function LogStream() {
+
+    var stream = this;
+
+    var processes = [];
+
+    /**
+     * Log entries ordered by time, oldest first. Each entry has a time
+     * (Date), a syslog priority, the unit it belongs to, its source
+     * ("journal" or the path of a log file) and the message.
+     * @type {object[]}
+     */
+    this.entries = [];
+
+    /**
+     * Fired whenever entries were added.
+     * @type {function()}
+     */
+    this.onchange = null;
+
+    /**
+     * Fired when a source cannot be read, with a description of the
+     * problem.
+     * @type {function(string)}
+     */
+    this.onerror = null;
+
+    /**
+     * Insert entries at their place in time, dropping the oldest ones
+     * beyond MAX_ENTRIES.
+     *
+     * @private
+     * @param {object[]} added
+     */
+    function addEntries(added) {
+        if (!added.length)
+            return;
+
+        added.forEach(function(entry) {
+            var entries = stream.entries;
+            // Most entries are the newest so far; search from the end
+            var index = entries.length;
+            while (index > 0 && entries[index - 1].time > entry.time)
+                index--;
+            entries.splice(index, 0, entry);
+        });
+
+        if (stream.entries.length > MAX_ENTRIES)
+            stream.entries.splice(0, stream.entries.length - MAX_ENTRIES);
+
+        if (stream.onchange)
+            stream.onchange();
+    }
+
+    function follow(args, parse, name) {
+        var proc = spawnLines(args, function(lines) {
+            addEntries(lines.map(parse).filter(function(entry) {
+                return entry;
+            }));
+        });
+
+        proc.catch(function(err) {
+            // Closing the process on stop() ends it with "terminated"
+            if (processes.indexOf(proc) !== -1 && stream.onerror)
+                stream.onerror('Could not read ' + name + ': ' + (err.message || err));
+        });
+
+        processes.push(proc);
+    }
+
+    /**
+     * Start following the journal and the log files that exist.
+     */
+    this.start = function start() {
+        var journalArgs = ['journalctl', '--follow', '--output=json', '--lines=' + HISTORY_LINES];
+        LOG_UNITS.forEach(function(unit) {
+            journalArgs.push('--unit=' + unit);
+        });
+        follow(journalArgs, parseJournalLine, 'the journal');
+
+        LOG_FILES.forEach(function(file) {
+            cockpit.spawn(['test', '-f', file.path], { superuser: 'try' })
+                .then(function() {
+                    // Started after stop()
+                    if (!processes.length)
+                        return;
+
+                    var previous = null;
+                    follow(['tail', '-n', String(HISTORY_LINES), '-F', file.path], function(line) {
+                        var entry = parseXrdpLine(line, file, previous);
+                        if (entry)
+                            previous = entry;
+                        return entry;
+                    }, file.path);
+                })
+                .catch(function() { /* the file does not exist */ });
+        });
+    };
+
+    /**
+     * Stop following the logs.
+     */
+    this.stop = function stop() {
+        var running = processes;
+        processes = [];
+        running.forEach(function(proc) {
+            proc.close();
+        });
+    };
+
+}
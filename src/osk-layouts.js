@@ -0,0 +1,178 @@
+import Guacamole from 'guacamole-common-js';
+
+/**
+ * Layouts for Guacamole.OnScreenKeyboard.
+ *
+ * Rather than spelling out every key object, the character keys of each
+ * layout are written as space-separated tokens, one per key:
+ *
+ *   "q"    a letter; Shift and Caps Lock give the upper case
+ *   "qQ@"  a letter with an AltGr character
+ *   "1!"   a key with its unshifted and shifted characters
+ *   "7/{"  the same with an AltGr character
+ *
+ * The last key of every row is widened to fill the keyboard width.
+ */
+
+var LAYOUT_WIDTH = 15;
+
+// Keys shared by all layouts
+var COMMON_KEYS = {
+    Esc: { title: 'Esc', keysym: 0xFF1B },
+    Del: { title: 'Del', keysym: 0xFFFF },
+    Back: { title: '⌫', keysym: 0xFF08 },
+    Tab: { title: 'Tab', keysym: 0xFF09 },
+    Enter: { title: '↵', keysym: 0xFF0D },
+    EnterTop: { title: '↵', keysym: 0xFF0D },
+    Caps: { title: 'Caps', modifier: 'caps', keysym: 0xFFE5 },
+    LShift: { title: 'Shift', modifier: 'shift', keysym: 0xFFE1 },
+    RShift: { title: 'Shift', modifier: 'shift', keysym: 0xFFE2 },
+    LCtrl: { title: 'Ctrl', modifier: 'control', keysym: 0xFFE3 },
+    RCtrl: { title: 'Ctrl', modifier: 'control', keysym: 0xFFE4 },
+    Super: { title: 'Super', modifier: 'super', keysym: 0xFFEB },
+    LAlt: { title: 'Alt', modifier: 'alt', keysym: 0xFFE9 },
+    RAlt: { title: 'Alt', modifier: 'alt', keysym: 0xFFEA },
+    AltGr: { title: 'AltGr', modifier: 'altgr', keysym: 0xFE03 },
+    Menu: { title: 'Menu', keysym: 0xFF67 },
+    Space: { title: ' ', keysym: 0x0020 }
+};
+
+for (var f = 1; f <= 12; f++) {
+    COMMON_KEYS['F' + f] = { title: 'F' + f, keysym: 0xFFBD + f };
+}
+
+var FUNCTION_ROW = ['Esc', 0.5, 'F1', 'F2', 'F3', 'F4', 0.25, 'F5', 'F6', 'F7', 'F8', 0.25,
+    'F9', 'F10', 'F11', 'F12', 'Del'];
+
+/**
+ * Build the key definitions of one character token.
+ *
+ * @param {string} token
+ * @returns {object[]} Guacamole.OnScreenKeyboard.Key templates
+ */
+function tokenKeys(token) {
+    var chars = Array.from(token);
+    var normal = chars[0];
+    var upper = normal.toUpperCase();
+    var isLetter = upper !== normal.toLowerCase() &&
+        (chars.length === 1 || chars[1] === upper);
+    var keys;
+
+    if (isLetter) {
+        keys = [
+            { title: normal },
+            { title: upper, requires: ['caps'] },
+            { title: upper, requires: ['shift'] },
+            { title: normal, requires: ['caps', 'shift'] }
+        ];
+    } else {
+        keys = [{ title: normal }];
+        if (chars.length > 1)
+            keys.push({ title: chars[1], requires: ['shift'] });
+    }
+
+    if (chars.length > 2)
+        keys.push({ title: chars[2], requires: ['altgr'] });
+
+    return keys;
+}
+
+/**
+ * Build a Guacamole.OnScreenKeyboard.Layout.
+ *
+ * @param {string} language - e.g. "en_US"
+ * @param {string} type - e.g. "qwerty"
+ * @param {object[]} rows - Character rows of the form
+ *     { left: [keyName, width], keys: "tokens", right: keyName }
+ * @param {string} rightAlt - "AltGr" or "RAlt"
+ * @returns {Guacamole.OnScreenKeyboard.Layout}
+ */
+function buildLayout(language, type, rows, rightAlt) {
+    var keys = Object.assign({}, COMMON_KEYS);
+    var keyWidths = {
+        Space: 7,
+        LCtrl: 1.5,
+        RCtrl: 1.5,
+        Super: 1.25,
+        LAlt: 1.25,
+        RAlt: 1.25,
+        AltGr: 1.25,
+        Menu: 1.25
+    };
+    var layoutRows = [FUNCTION_ROW];
+
+    rows.forEach(function(row, rowIndex) {
+        var names = [];
+        var used = 0;
+
+        if (row.left) {
+            names.push(row.left[0]);
+            keyWidths[row.left[0]] = row.left[1];
+            used += row.left[1];
+        }
+
+        row.keys.split(' ').forEach(function(token, keyIndex) {
+            var name = 'k' + rowIndex + '_' + keyIndex;
+            keys[name] = tokenKeys(token);
+            names.push(name);
+            used += 1;
+        });
+
+        if (row.right) {
+            names.push(row.right);
+            used += 1;
+        }
+
+        // Widen the last key to fill the row
+        var last = names[names.length - 1];
+        keyWidths[last] = 1 + LAYOUT_WIDTH - used;
+
+        layoutRows.push(names);
+    });
+
+    layoutRows.push(['LCtrl', 'Super', 'LAlt', 'Space', rightAlt, 'Menu', 'RCtrl']);
+
+    return new Guacamole.OnScreenKeyboard.Layout({
+        language: language,
+        type: type,
+        width: LAYOUT_WIDTH,
+        keys: keys,
+        keyWidths: keyWidths,
+        layout: layoutRows
+    });
+}
+
+/**
+ * Available layouts by ID, each with a human-readable label.
+ */
+export var OSK_LAYOUTS = {
+    'en-us-qwerty': {
+        label: 'English (US)',
+        layout: buildLayout('en_US', 'qwerty', [
+            { keys: '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+', right: 'Back' },
+            { left: ['Tab', 1.5], keys: 'q w e r t y u i o p [{ ]} \\|' },
+            { left: ['Caps', 1.75], keys: 'a s d f g h j k l ;: \'"', right: 'Enter' },
+            { left: ['LShift', 2.25], keys: 'z x c v b n m ,< .> /?', right: 'RShift' }
+        ], 'RAlt')
+    },
+    'de-de-qwertz': {
+        label: 'Deutsch',
+        layout: buildLayout('de_DE', 'qwertz', [
+            { keys: '^° 1! 2"² 3§³ 4$ 5% 6& 7/{ 8([ 9)] 0=} ß?\\ ´`', right: 'Back' },
+            { left: ['Tab', 1.5], keys: 'qQ@ w eE€ r t z u i o p ü +*~', right: 'EnterTop' },
+            { left: ['Caps', 1.75], keys: 'a s d f g h j k l ö ä #\'', right: 'Enter' },
+            { left: ['LShift', 1.25], keys: '<>| y x c v b n mMµ ,; .: -_', right: 'RShift' }
+        ], 'AltGr')
+    },
+    'fr-fr-azerty': {
+        label: 'Français',
+        layout: buildLayout('fr_FR', 'azerty', [
+            { keys: '² &1 é2~ "3# \'4{ (5[ -6| è7` _8\\ ç9^ à0@ )°] =+}', right: 'Back' },
+            { left: ['Tab', 1.5], keys: 'a z eE€ r t y u i o p ^¨ $£¤', right: 'EnterTop' },
+            { left: ['Caps', 1.75], keys: 'q s d f g h j k l m ù% *µ', right: 'Enter' },
+            { left: ['LShift', 1.25], keys: '<> w x c v b n ,? ;. :/ !§', right: 'RShift' }
+        ], 'AltGr')
+    }
+};
+
+export var DEFAULT_OSK_LAYOUT = 'en-us-qwerty';
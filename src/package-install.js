@@ -42,7 +42,9 @@ var _nativePackageManager = null;  // 'apt' | 'dnf' | 'yum' | null
 export var SERVICE_PACKAGES = {
     'guacd': {
         candidates: ['guacd', 'guacamole-server'],
-        extras: ['libguac-client-rdp', 'libguac-client-rdp0'],
+        extras: ['libguac-client-rdp', 'libguac-client-rdp0',
+                 'libguac-client-vnc', 'libguac-client-vnc0',
+                 'libguac-client-ssh', 'libguac-client-ssh0'],
         description: 'Apache Guacamole proxy daemon'
     },
     'xrdp': {
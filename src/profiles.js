@@ -0,0 +1,395 @@
+import { normalizeMacros } from './keys.js';
+
+/**
+ * Saved connection profiles, recently used hosts, key macros and the
+ * guacd endpoint.
+ *
+ * Profiles are stored per user as a JSON array in
+ * ~/.config/cockpit-guacamole/profiles.json and are read and written
+ * through cockpit.file() with the JSON syntax helper. Recently used
+ * hosts, user-defined key macros and where to reach guacd are kept
+ * alongside in recent-hosts.json, macros.json and guacd.json.
+ *
+ * Secrets (passwords, key passphrases, private keys) are never
+ * persisted; they are entered in the connection form at connect time.
+ */
+
+var PROFILE_DIR = '.config/cockpit-guacamole';
+var PROFILE_FILE = 'profiles.json';
+var RECENT_HOSTS_FILE = 'recent-hosts.json';
+var MACROS_FILE = 'macros.json';
+var GUACD_FILE = 'guacd.json';
+var MAX_RECENT_HOSTS = 10;
+
+/**
+ * Every persisted profile field with its default value. Fields not
+ * listed here are dropped when a profile is normalized, which is what
+ * keeps secrets and stray keys out of the file.
+ */
+export var PROFILE_DEFAULTS = {
+    id: '',
+    name: '',
+    protocol: 'rdp',
+    hostname: 'localhost',
+    port: 0,
+    username: '',
+    domain: '',
+    security: 'any',
+    ignoreCert: true,
+    colorDepth: '',
+    disableCopy: false,
+    disablePaste: false,
+    resizeMethod: 'display-update',
+    enableFontSmoothing: true,
+    disableAudio: false,
+    enableAudioInput: false,
+    enableTouch: false,
+    enableDrive: false,
+    drivePath: '/var/lib/guacd/drive',
+    disableDownload: false,
+    disableUpload: false,
+    recordSession: false,
+    recordingPath: '/var/lib/guacd/recordings',
+    recordingIncludeKeys: false,
+    enableWallpaper: false,
+    enableTheming: false,
+    enableDesktopComposition: false,
+    enableFullWindowDrag: false,
+    enableMenuAnimations: false,
+    disableBitmapCaching: false,
+    disableOffscreenCaching: false,
+    disableGlyphCaching: false,
+    forceLossless: false,
+    serverLayout: '',
+    timezone: '',
+    console: false,
+    initialProgram: '',
+    normalizeClipboard: '',
+    cursor: 'local',
+    encodings: '',
+    readOnly: false,
+    hostKey: '',
+    fontName: '',
+    fontSize: 12,
+    colorScheme: '',
+    scrollback: 1000,
+    terminalType: 'xterm-256color'
+};
+
+var _configDir = null;
+
+/**
+ * Resolve the absolute path of a file in the per-user configuration
+ * directory, creating the directory if needed. The directory is cached.
+ *
+ * @param {string} fileName
+ * @returns {Promise<string>}
+ */
+function getConfigPath(fileName) {
+    if (_configDir) {
+        return Promise.resolve(_configDir + '/' + fileName);
+    }
+
+    return cockpit.user().then(function(userInfo) {
+        var dir = userInfo.home + '/' + PROFILE_DIR;
+        return cockpit.spawn(['mkdir', '-p', dir], { err: 'message' })
+            .then(function() {
+                _configDir = dir;
+                return dir + '/' + fileName;
+            });
+    });
+}
+
+/**
+ * Check whether a string is a usable hostname, IPv4 or IPv6 address.
+ *
+ * @param {string} host
+ * @returns {boolean}
+ */
+export function isValidHost(host) {
+    if (!host || host.length > 253) {
+        return false;
+    }
+
+    // IPv6, optionally in brackets
+    var bare = host.replace(/^\[(.*)\]$/, '$1');
+    if (bare.indexOf(':') !== -1) {
+        return /^[0-9a-f:.]+$/i.test(bare) && bare.split('::').length <= 2;
+    }
+
+    // IPv4
+    if (/^[0-9.]+$/.test(host)) {
+        var octets = host.split('.');
+        return octets.length === 4 && octets.every(function(octet) {
+            return /^\d{1,3}$/.test(octet) && parseInt(octet, 10) <= 255;
+        });
+    }
+
+    // DNS name (RFC 1123 labels)
+    return host.split('.').every(function(label) {
+        return /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i.test(label);
+    });
+}
+
+/**
+ * Generate a reasonably unique profile ID.
+ *
+ * @returns {string}
+ */
+export function newProfileId() {
+    return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+}
+
+/**
+ * Return a copy of the given object restricted to known profile fields,
+ * with missing or mistyped fields replaced by their defaults.
+ *
+ * @param {object} obj - Raw profile data (e.g. from an imported file)
+ * @returns {object} A normalized profile
+ */
+export function normalizeProfile(obj) {
+    var profile = {};
+    Object.keys(PROFILE_DEFAULTS).forEach(function(key) {
+        var def = PROFILE_DEFAULTS[key];
+        var value = obj ? obj[key] : undefined;
+        if (typeof def === 'number') {
+            value = parseInt(value, 10);
+            profile[key] = isNaN(value) ? def : value;
+        } else if (typeof value === typeof def) {
+            profile[key] = value;
+        } else {
+            profile[key] = def;
+        }
+    });
+    if (!profile.id) {
+        profile.id = newProfileId();
+    }
+    return profile;
+}
+
+/**
+ * Read all saved profiles. A missing file yields an empty list.
+ *
+ * @returns {Promise<object[]>}
+ */
+export function loadProfiles() {
+    return getConfigPath(PROFILE_FILE).then(function(path) {
+        var file = cockpit.file(path, { syntax: JSON });
+        return file.read()
+            .then(function(data) {
+                return Array.isArray(data) ? data.map(normalizeProfile) : [];
+            })
+            .finally(function() {
+                file.close();
+            });
+    });
+}
+
+/**
+ * Write the full list of profiles, replacing the stored file.
+ *
+ * @param {object[]} profiles
+ * @returns {Promise}
+ */
+export function saveProfiles(profiles) {
+    return getConfigPath(PROFILE_FILE).then(function(path) {
+        var file = cockpit.file(path, { syntax: JSON });
+        return file.replace(profiles.map(normalizeProfile))
+            .finally(function() {
+                file.close();
+            });
+    });
+}
+
+/**
+ * Copy a profile under a new ID and a "(copy)" name.
+ *
+ * @param {object} profile
+ * @returns {object}
+ */
+export function cloneProfile(profile) {
+    var copy = normalizeProfile(profile);
+    copy.id = newProfileId();
+    copy.name = profile.name + ' (copy)';
+    return copy;
+}
+
+/**
+ * Serialize profiles for export.
+ *
+ * @param {object[]} profiles
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportProfiles(profiles) {
+    return JSON.stringify(profiles.map(normalizeProfile), null, 2) + '\n';
+}
+
+/**
+ * Parse exported profile JSON. Accepts either an array of profiles or a
+ * single profile object. Imported profiles always get fresh IDs so they
+ * never overwrite existing ones.
+ *
+ * @param {string} text - JSON text from an exported file
+ * @returns {object[]} Normalized profiles
+ * @throws {Error} If the text is not valid profile JSON
+ */
+export function importProfiles(text) {
+    var data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Not a valid JSON file: ' + e.message);
+    }
+
+    if (!Array.isArray(data)) {
+        data = [data];
+    }
+
+    return data.map(function(item) {
+        if (!item || typeof item !== 'object' || typeof item.name !== 'string' || !item.name) {
+            throw new Error('Every profile needs a name.');
+        }
+        var profile = normalizeProfile(item);
+        profile.id = newProfileId();
+        return profile;
+    });
+}
+
+/**
+ * Read the list of recently used hosts, most recent first.
+ *
+ * @returns {Promise<string[]>}
+ */
+export function loadRecentHosts() {
+    return getConfigPath(RECENT_HOSTS_FILE).then(function(path) {
+        var file = cockpit.file(path, { syntax: JSON });
+        return file.read()
+            .then(function(data) {
+                return Array.isArray(data) ? data.filter(isValidHost) : [];
+            })
+            .finally(function() {
+                file.close();
+            });
+    });
+}
+
+/**
+ * Move a host to the front of the recent hosts list, keeping at most
+ * MAX_RECENT_HOSTS entries.
+ *
+ * @param {string} host
+ * @returns {Promise<string[]>} The updated list
+ */
+export function addRecentHost(host) {
+    return getConfigPath(RECENT_HOSTS_FILE).then(function(path) {
+        var file = cockpit.file(path, { syntax: JSON });
+        var updated = null;
+        return file.modify(function(data) {
+            updated = (Array.isArray(data) ? data : []).filter(function(h) {
+                return h !== host;
+            });
+            updated.unshift(host);
+            updated = updated.slice(0, MAX_RECENT_HOSTS);
+            return updated;
+        })
+        .then(function() {
+            return updated;
+        })
+        .finally(function() {
+            file.close();
+        });
+    });
+}
+
+/**
+ * Read the user-defined key macros.
+ *
+ * @returns {Promise<object[]>} Macros of the form { name, sequence }
+ */
+export function loadMacros() {
+    return getConfigPath(MACROS_FILE).then(function(path) {
+        var file = cockpit.file(path, { syntax: JSON });
+        return file.read()
+            .then(normalizeMacros)
+            .finally(function() {
+                file.close();
+            });
+    });
+}
+
+/**
+ * Write the full list of key macros, replacing the stored file.
+ *
+ * @param {object[]} macros
+ * @returns {Promise}
+ */
+export function saveMacros(macros) {
+    return getConfigPath(MACROS_FILE).then(function(path) {
+        var file = cockpit.file(path, { syntax: JSON });
+        return file.replace(normalizeMacros(macros))
+            .finally(function() {
+                file.close();
+            });
+    });
+}
+
+/**
+ * Where guacd is reached: host and port, and whether it speaks TLS, in
+ * which case caFile optionally names the PEM file of the authority that
+ * signed its certificate. Defaults to the local guacd.
+ */
+export var GUACD_DEFAULTS = {
+    host: 'localhost',
+    port: 4822,
+    tls: false,
+    caFile: ''
+};
+
+/**
+ * @param {*} obj - A stored guacd endpoint
+ * @returns {object} The endpoint with every field of GUACD_DEFAULTS, of
+ *     its type
+ */
+export function normalizeGuacdEndpoint(obj) {
+    var endpoint = Object.assign({}, GUACD_DEFAULTS);
+    if (!obj || typeof obj !== 'object')
+        return endpoint;
+
+    Object.keys(GUACD_DEFAULTS).forEach(function(key) {
+        if (typeof obj[key] === typeof GUACD_DEFAULTS[key])
+            endpoint[key] = obj[key];
+    });
+    return endpoint;
+}
+
+/**
+ * Read the guacd endpoint.
+ *
+ * @returns {Promise<object>}
+ */
+export function loadGuacdEndpoint() {
+    return getConfigPath(GUACD_FILE).then(function(path) {
+        var file = cockpit.file(path, { syntax: JSON });
+        return file.read()
+            .then(normalizeGuacdEndpoint)
+            .finally(function() {
+                file.close();
+            });
+    });
+}
+
+/**
+ * Store the guacd endpoint.
+ *
+ * @param {object} endpoint
+ * @returns {Promise}
+ */
+export function saveGuacdEndpoint(endpoint) {
+    return getConfigPath(GUACD_FILE).then(function(path) {
+        var file = cockpit.file(path, { syntax: JSON });
+        return file.replace(normalizeGuacdEndpoint(endpoint))
+            .finally(function() {
+                file.close();
+            });
+    });
+}
@@ -0,0 +1,269 @@
+import Guacamole from 'guacamole-common-js';
+
+/**
+ * Session recordings: listing the recordings guacd wrote to disk and
+ * playing them back with Guacamole.SessionRecording.
+ *
+ * Recordings are owned by the guacd user, so they are listed and read
+ * with superuser: 'try'.
+ */
+
+// Recordings are read into memory in one go for playback
+var MAX_RECORDING_SIZE = 1024 * 1024 * 1024;
+
+// Interval between playback position updates, in milliseconds
+var PLAYBACK_TICK = 50;
+
+/**
+ * Build a file name for a new recording from a label and the current
+ * time, e.g. "web01-20261019-142530.guac".
+ *
+ * @param {string} label - Connection name or host
+ * @returns {string}
+ */
+export function recordingName(label) {
+    var now = new Date();
+    var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+    var stamp = now.getFullYear() + pad(now.getMonth() + 1) + pad(now.getDate()) + '-' +
+        pad(now.getHours()) + pad(now.getMinutes()) + pad(now.getSeconds());
+    var safeLabel = (label || 'session').replace(/[^A-Za-z0-9._-]+/g, '_');
+    return safeLabel + '-' + stamp + '.guac';
+}
+
+/**
+ * Format a duration in milliseconds as "m:ss" or "h:mm:ss".
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+    var total = Math.floor(ms / 1000);
+    var hours = Math.floor(total / 3600);
+    var minutes = Math.floor(total / 60) % 60;
+    var seconds = total % 60;
+    var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+    return (hours ? hours + ':' + pad(minutes) : minutes) + ':' + pad(seconds);
+}
+
+/**
+ * List the recordings in a directory, newest first.
+ *
+ * @param {string} dir
+ * @returns {Promise<object[]>} Entries of { name, path, size, modified }
+ */
+export function listRecordings(dir) {
+    return cockpit.spawn(
+        ['find', dir, '-maxdepth', '1', '-type', 'f', '-printf', '%T@\\t%s\\t%f\\n'],
+        { superuser: 'try', err: 'message' }
+    )
+    .then(function(output) {
+        return output.split('\n')
+            .filter(function(line) { return line; })
+            .map(function(line) {
+                var fields = line.split('\t');
+                return {
+                    name: fields[2],
+                    path: dir.replace(/\/$/, '') + '/' + fields[2],
+                    size: parseInt(fields[1], 10),
+                    modified: new Date(parseFloat(fields[0]) * 1000)
+                };
+            })
+            .sort(function(a, b) { return b.modified - a.modified; });
+    });
+}
+
+/**
+ * Read a recording into a Blob.
+ *
+ * @param {string} path
+ * @returns {Promise<Blob>}
+ */
+export function readRecording(path) {
+    var file = cockpit.file(path, { binary: true, superuser: 'try', max_read_size: MAX_RECORDING_SIZE });
+    return file.read()
+        .then(function(data) {
+            if (!data) {
+                throw new Error(path + ' does not exist');
+            }
+            return new Blob([data]);
+        })
+        .finally(function() {
+            file.close();
+        });
+}
+
+/**
+ * Delete a recording.
+ *
+ * @param {string} path
+ * @returns {Promise}
+ */
+export function deleteRecording(path) {
+    return cockpit.spawn(['rm', '-f', '--', path], { superuser: 'try', err: 'message' });
+}
+
+/**
+ * Playback controller around Guacamole.SessionRecording adding a
+ * variable playback speed. Guacamole.SessionRecording only plays in real
+ * time, so instead of play() this advances the position on a timer and
+ * lets seek() replay the frames up to it.
+ *
+ * @constructor
+ * @param {!Blob} blob
+ *     The recording to play.
+ */
+export function RecordingPlayer(blob) {
+
+    var player = this;
+
+    var recording = new Guacamole.SessionRecording(blob);
+
+    var position = 0;
+    var speed = 1;
+    var playing = false;
+    var seeking = false;
+    var lastTick = 0;
+    var timer = null;
+
+    /**
+     * Fired while the recording is parsed, with the duration parsed so far.
+     * @type {function(number)}
+     */
+    this.onprogress = null;
+
+    /**
+     * Fired once the whole recording has been parsed.
+     * @type {function()}
+     */
+    this.onload = null;
+
+    /**
+     * Fired if the recording cannot be parsed.
+     * @type {function(string)}
+     */
+    this.onerror = null;
+
+    /**
+     * Fired whenever the playback position changes, in milliseconds.
+     * @type {function(number)}
+     */
+    this.onposition = null;
+
+    /**
+     * Fired when playback starts or stops.
+     * @type {function(boolean)}
+     */
+    this.onplaystatechange = null;
+
+    recording.onprogress = function(duration) {
+        if (player.onprogress) player.onprogress(duration);
+    };
+
+    recording.onload = function() {
+        if (player.onload) player.onload();
+    };
+
+    recording.onerror = function(message) {
+        if (player.onerror) player.onerror(message);
+    };
+
+    function setPlaying(value) {
+        if (playing === value) return;
+        playing = value;
+        if (player.onplaystatechange) player.onplaystatechange(playing);
+    }
+
+    function seekTo(target) {
+        // SessionRecording.seek() never calls back if no frames exist
+        if (!recording.getDuration()) return;
+
+        seeking = true;
+        position = target;
+        recording.seek(target, function() {
+            seeking = false;
+            if (player.onposition) player.onposition(position);
+        });
+    }
+
+    function tick() {
+        var now = Date.now();
+        var elapsed = (now - lastTick) * speed;
+        lastTick = now;
+
+        if (!playing || seeking) return;
+
+        var duration = recording.getDuration();
+        var target = Math.min(duration, position + elapsed);
+        seekTo(target);
+
+        if (target >= duration)
+            player.pause();
+    }
+
+    /** @returns {Guacamole.Display} */
+    this.getDisplay = function getDisplay() {
+        return recording.getDisplay();
+    };
+
+    /** Begin parsing the recording. */
+    this.load = function load() {
+        recording.connect();
+    };
+
+    /** @returns {number} Duration parsed so far, in milliseconds */
+    this.getDuration = function getDuration() {
+        return recording.getDuration();
+    };
+
+    /** @returns {number} Current position, in milliseconds */
+    this.getPosition = function getPosition() {
+        return position;
+    };
+
+    /** @returns {boolean} */
+    this.isPlaying = function isPlaying() {
+        return playing;
+    };
+
+    /** Start or resume playback, restarting from the beginning at the end. */
+    this.play = function play() {
+        if (playing) return;
+        if (position >= recording.getDuration())
+            seekTo(0);
+        lastTick = Date.now();
+        timer = setInterval(tick, PLAYBACK_TICK);
+        setPlaying(true);
+    };
+
+    /** Pause playback. */
+    this.pause = function pause() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+        setPlaying(false);
+    };
+
+    /**
+     * @param {number} target - Position to jump to, in milliseconds
+     */
+    this.seek = function seek(target) {
+        recording.cancel();
+        seekTo(Math.max(0, Math.min(recording.getDuration(), target)));
+    };
+
+    /**
+     * @param {number} value - Playback speed multiplier, e.g. 2 for 2x
+     */
+    this.setSpeed = function setSpeed(value) {
+        speed = value > 0 ? value : 1;
+    };
+
+    /** Stop playback and release the recording. */
+    this.destroy = function destroy() {
+        player.pause();
+        recording.abort();
+        recording.disconnect();
+    };
+
+}
@@ -0,0 +1,193 @@
+/**
+ * Restarting systemd services and checking that they came back healthy:
+ * every unit active, the expected TCP port listening, and the journal of
+ * the units at hand when they are not.
+ */
+
+// How long to wait for restarted units to settle and start listening,
+// and how often to look (milliseconds)
+var HEALTH_TIMEOUT = 10000;
+var HEALTH_POLL_INTERVAL = 500;
+
+// How long a port probe waits for the connection to be accepted before
+// taking the port as unreachable (milliseconds)
+var PROBE_TIMEOUT = 5000;
+
+// Journal lines shown for units that failed to start or stopped
+var JOURNAL_LINES = 30;
+
+function delay(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Read the states of systemd units.
+ *
+ * @param {string[]} units
+ * @returns {Promise<object>} Objects of { loadState, activeState, subState }
+ *     keyed by unit
+ */
+export function unitStates(units) {
+    return cockpit.spawn(
+        ['systemctl', 'show', '--property=LoadState,ActiveState,SubState'].concat(units),
+        { err: 'message' }
+    )
+    .then(function(output) {
+        // One block of properties per unit, in the order requested
+        var blocks = output.trim().split(/\n\s*\n/);
+        var states = {};
+        units.forEach(function(unit, index) {
+            var props = {};
+            (blocks[index] || '').split('\n').forEach(function(line) {
+                var eq = line.indexOf('=');
+                if (eq !== -1)
+                    props[line.substring(0, eq)] = line.substring(eq + 1);
+            });
+            states[unit] = {
+                loadState: props.LoadState || 'not-found',
+                activeState: props.ActiveState || 'inactive',
+                subState: props.SubState || ''
+            };
+        });
+        return states;
+    });
+}
+
+/**
+ * Try to open a TCP connection to a port through the Cockpit bridge.
+ *
+ * @param {number} port
+ * @param {string} [address] - Host to connect to; the local machine if
+ *     not given
+ * @returns {Promise<boolean>} Whether the connection was accepted within
+ *     PROBE_TIMEOUT
+ */
+export function probePort(port, address) {
+    return new Promise(function(resolve) {
+        var options = { payload: 'stream', port: port, binary: false };
+        if (address)
+            options.address = address;
+        var channel = cockpit.channel(options);
+        var settled = false;
+
+        function settle(open) {
+            if (settled)
+                return;
+            settled = true;
+            clearTimeout(timer);
+            resolve(open);
+            channel.close();
+        }
+
+        // A host that drops packets would otherwise hold the probe for the
+        // OS's TCP timeout
+        var timer = setTimeout(function() {
+            settle(false);
+        }, PROBE_TIMEOUT);
+
+        channel.addEventListener('ready', function() {
+            settle(true);
+        });
+        channel.addEventListener('close', function(event, options) {
+            settle(!(options.problem || options.reason));
+        });
+    });
+}
+
+/**
+ * Check whether anything listens on a local TCP port. Asks ss, and falls
+ * back to connecting to the port where ss is not available.
+ *
+ * @param {number} port
+ * @returns {Promise<boolean>}
+ */
+export function isPortListening(port) {
+    return cockpit.spawn(['ss', '-Hltn', 'sport = :' + port], { err: 'message' })
+        .then(function(output) {
+            return output.trim() !== '';
+        })
+        .catch(function() {
+            return probePort(port);
+        });
+}
+
+/**
+ * Read the tail of the journal of some units.
+ *
+ * @param {string[]} units
+ * @param {?Date} [since] - Only show entries logged after this time
+ * @returns {Promise<string>} The journal lines; empty if unavailable
+ */
+export function unitJournal(units, since) {
+    var args = ['journalctl', '--no-pager', '-o', 'short', '-n', String(JOURNAL_LINES)];
+    if (since)
+        args.push('--since', '@' + Math.floor(since.getTime() / 1000));
+    units.forEach(function(unit) {
+        args.push('-u', unit);
+    });
+
+    return cockpit.spawn(args, { superuser: 'try', err: 'message' })
+        .catch(function() {
+            return '';
+        });
+}
+
+/**
+ * Restart systemd units.
+ *
+ * @param {string[]} units
+ * @returns {Promise}
+ */
+export function restartServices(units) {
+    return cockpit.spawn(['systemctl', 'restart'].concat(units), { superuser: 'require', err: 'message' });
+}
+
+/**
+ * Wait for units to settle after a (re)start and report on their health.
+ *
+ * @param {string[]} units
+ * @param {?number} port - TCP port one of the units should listen on, if
+ *     any
+ * @param {Date} since - When the units were started; journal lines from
+ *     before this time are not included
+ * @returns {Promise<object>} { healthy, units, listening, journal } where
+ *     units holds the unit states as by unitStates(), listening is null
+ *     without a port, and journal is only set when unhealthy
+ */
+export function checkServiceHealth(units, port, since) {
+    var deadline = Date.now() + HEALTH_TIMEOUT;
+
+    function poll() {
+        return Promise.all([
+            unitStates(units),
+            port ? isPortListening(port) : Promise.resolve(null)
+        ])
+        .then(function(results) {
+            var states = results[0];
+            var listening = results[1];
+
+            var active = units.every(function(unit) {
+                return states[unit].activeState === 'active';
+            });
+            var stopped = units.some(function(unit) {
+                return ['failed', 'inactive'].indexOf(states[unit].activeState) !== -1;
+            });
+            var healthy = active && listening !== false;
+
+            if (healthy || stopped || Date.now() >= deadline)
+                return { healthy: healthy, units: states, listening: listening };
+            return delay(HEALTH_POLL_INTERVAL).then(poll);
+        });
+    }
+
+    return poll().then(function(result) {
+        if (result.healthy)
+            return result;
+        return unitJournal(units, since).then(function(journal) {
+            result.journal = journal;
+            return result;
+        });
+    });
+}
@@ -0,0 +1,190 @@
+import { unitJournal } from './service-health.js';
+
+/**
+ * Live state of systemd services through systemd's D-Bus API.
+ *
+ * Each unit is loaded once to learn its object path, and every
+ * PropertiesChanged signal on that path re-reads its state, so changes
+ * show up as they happen instead of on the next poll. A daemon reload
+ * (e.g. after a package install) reloads all units.
+ */
+
+var MANAGER_PATH = '/org/freedesktop/systemd1';
+var MANAGER_INTERFACE = 'org.freedesktop.systemd1.Manager';
+var UNIT_INTERFACE = 'org.freedesktop.systemd1.Unit';
+var SERVICE_INTERFACE = 'org.freedesktop.systemd1.Service';
+var PROPERTIES_INTERFACE = 'org.freedesktop.DBus.Properties';
+
+// The state of a unit that could not be read, which says nothing about
+// whether it is installed or running
+var UNKNOWN_STATE = {
+    loadState: 'unknown',
+    activeState: 'unknown',
+    subState: '',
+    result: '',
+    lastStart: null,
+    journal: null
+};
+
+function property(props, name, fallback) {
+    return props[name] ? props[name].v : fallback;
+}
+
+/**
+ * Tracks the state of systemd services.
+ *
+ * @constructor
+ * @param {string[]} units
+ *     Names of the services to track, without the ".service" suffix.
+ */
+export function ServiceMonitor(units) {
+
+    var monitor = this;
+
+    var client = cockpit.dbus('org.freedesktop.systemd1', { superuser: 'try' });
+
+    // Object path of each unit, and the signal subscription for it
+    var paths = {};
+    var subscriptions = {};
+
+    /**
+     * The last known state of each unit: { loadState, activeState,
+     * subState, result, lastStart, journal }. Both loadState and
+     * activeState are "unknown" while the unit cannot be read. result is the service's
+     * Result property (e.g. "exit-code" after a failed start), lastStart
+     * the time it last left the inactive state, and journal the tail of
+     * its journal while it is failed (null until read).
+     * @type {object}
+     */
+    this.states = {};
+
+    /**
+     * Fired with the unit name whenever the state of a unit changes.
+     * @type {function(string)}
+     */
+    this.onchange = null;
+
+    function notify(unit) {
+        if (monitor.onchange)
+            monitor.onchange(unit);
+    }
+
+    /**
+     * Re-read the properties of a unit.
+     *
+     * @private
+     * @param {string} unit
+     * @returns {Promise}
+     */
+    function update(unit) {
+        var path = paths[unit];
+        return Promise.all([
+            client.call(path, PROPERTIES_INTERFACE, 'GetAll', [UNIT_INTERFACE]),
+            client.call(path, PROPERTIES_INTERFACE, 'GetAll', [SERVICE_INTERFACE])
+                .catch(function() { return [{}]; })
+        ])
+        .then(function(results) {
+            var unitProps = results[0][0];
+            var serviceProps = results[1][0];
+            var previous = monitor.states[unit];
+            var exited = property(unitProps, 'InactiveExitTimestamp', 0);
+
+            var state = {
+                loadState: property(unitProps, 'LoadState', 'not-found'),
+                activeState: property(unitProps, 'ActiveState', 'inactive'),
+                subState: property(unitProps, 'SubState', ''),
+                result: property(serviceProps, 'Result', ''),
+                lastStart: exited ? new Date(exited / 1000) : null,
+                journal: null
+            };
+
+            var sameFailure = previous && previous.activeState === 'failed' && state.activeState === 'failed' &&
+                String(previous.lastStart) === String(state.lastStart);
+            if (sameFailure)
+                state.journal = previous.journal;
+
+            monitor.states[unit] = state;
+            notify(unit);
+
+            if (state.activeState === 'failed' && !sameFailure) {
+                unitJournal([unit + '.service'], state.lastStart).then(function(journal) {
+                    if (monitor.states[unit] !== state)
+                        return;
+                    state.journal = journal;
+                    notify(unit);
+                });
+            }
+        });
+    }
+
+    /**
+     * Load a unit, learning its object path, and start following it.
+     *
+     * @private
+     * @param {string} unit
+     * @returns {Promise}
+     */
+    function load(unit) {
+        return client.call(MANAGER_PATH, MANAGER_INTERFACE, 'LoadUnit', [unit + '.service'])
+            .then(function(result) {
+                var path = result[0];
+                if (paths[unit] !== path) {
+                    if (subscriptions[unit])
+                        subscriptions[unit].remove();
+                    paths[unit] = path;
+                    subscriptions[unit] = client.subscribe(
+                        { path: path, interface: PROPERTIES_INTERFACE, member: 'PropertiesChanged' },
+                        function() {
+                            update(unit).catch(function() {
+                                unknown(unit);
+                            });
+                        }
+                    );
+                }
+                return update(unit);
+            })
+            .catch(function() {
+                unknown(unit);
+            });
+    }
+
+    /**
+     * Mark a unit's state as unknown, when it could not be read.
+     *
+     * @private
+     * @param {string} unit
+     */
+    function unknown(unit) {
+        monitor.states[unit] = Object.assign({}, UNKNOWN_STATE);
+        notify(unit);
+    }
+
+    /**
+     * Re-read the state of every unit.
+     *
+     * @returns {Promise}
+     */
+    this.refresh = function refresh() {
+        return Promise.all(units.map(load));
+    };
+
+    /**
+     * Stop tracking the units.
+     */
+    this.close = function close() {
+        client.close();
+    };
+
+    // systemd only sends unit signals to subscribed clients
+    client.call(MANAGER_PATH, MANAGER_INTERFACE, 'Subscribe', [])
+        .catch(function() { /* already subscribed through this bus connection */ });
+
+    client.subscribe({ path: MANAGER_PATH, interface: MANAGER_INTERFACE, member: 'Reloading' },
+        function(path, iface, signal, args) {
+            if (!args[0])
+                monitor.refresh();
+        });
+
+    this.refresh();
+
+}
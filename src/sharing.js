@@ -0,0 +1,79 @@
+/**
+ * Session sharing: guacd names every running connection with an ID of
+ * the form "$<uuid>", and selecting that ID instead of a protocol during
+ * the handshake joins the connection as an additional user.
+ *
+ * Joining goes through the guacd of the Cockpit host, so a connection
+ * can be joined by anyone who can log in to Cockpit on the same machine.
+ * Join links open this page with the connection ID (and optionally
+ * read-only mode) in the URL fragment.
+ */
+
+var CONNECTION_ID_PATTERN = /^\$[0-9a-f-]{36}$/i;
+
+/**
+ * Check whether a string looks like a guacd connection ID.
+ *
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isConnectionId(id) {
+    return CONNECTION_ID_PATTERN.test(id || '');
+}
+
+/**
+ * Build a link that opens this page ready to join a connection.
+ *
+ * @param {string} connectionId
+ * @param {boolean} readOnly - Whether the link joins in read-only mode
+ * @returns {string}
+ */
+export function joinLink(connectionId, readOnly) {
+    var options = { join: connectionId };
+    if (readOnly)
+        options['read-only'] = '1';
+
+    // The shell mirrors the fragment of the page's own location into
+    // the top-level URL, which is what users copy and share
+    var page = window.top.location.href.split('#')[0];
+    return page + '#' + cockpit.location.encode('/', options);
+}
+
+/**
+ * Read the join options from cockpit.location.options, i.e. from a join
+ * link the page was opened with.
+ *
+ * @param {object} options
+ * @returns {?{connectionId: string, readOnly: boolean}} Null if the
+ *     options do not name a connection
+ */
+export function joinOptions(options) {
+    if (!isConnectionId(options.join))
+        return null;
+    return { connectionId: options.join, readOnly: !!options['read-only'] };
+}
+
+/**
+ * Parse what a user pasted into the join field: a connection ID or a
+ * join link.
+ *
+ * @param {string} text
+ * @returns {{connectionId: string, readOnly: boolean}} readOnly is set
+ *     if a join link asks for read-only mode
+ * @throws {Error} If the text is neither
+ */
+export function parseJoinTarget(text) {
+    text = (text || '').trim();
+
+    if (isConnectionId(text))
+        return { connectionId: text, readOnly: false };
+
+    var query = text.split('?')[1];
+    if (query) {
+        var params = new URLSearchParams(query);
+        if (isConnectionId(params.get('join')))
+            return { connectionId: params.get('join'), readOnly: params.has('read-only') };
+    }
+
+    throw new Error('"' + text + '" is neither a connection ID nor a join link.');
+}
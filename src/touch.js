@@ -0,0 +1,158 @@
+import Guacamole from 'guacamole-common-js';
+
+/**
+ * Touch input for the remote display.
+ *
+ * Three modes are supported:
+ *   touchscreen  a tap clicks where the finger is (Guacamole.Mouse.Touchscreen)
+ *   touchpad     the screen acts as a trackpad moving a relative pointer
+ *                (Guacamole.Mouse.Touchpad)
+ *   multitouch   raw touches are passed to the remote desktop
+ *                (Guacamole.Touch); needs RDP's enable-touch and a server
+ *                that accepts touch input
+ *
+ * In the two pointer modes, pinching with two fingers zooms the local
+ * view and dragging with two fingers pans it.
+ */
+
+export var TOUCH_MODES = [
+    { id: 'touchscreen', label: 'Touchscreen' },
+    { id: 'touchpad', label: 'Touchpad' },
+    { id: 'multitouch', label: 'Multi-touch' }
+];
+
+// Relative change in finger distance, or midpoint movement in pixels,
+// before a two-finger touch is treated as a pinch or pan
+var PINCH_THRESHOLD = 0.1;
+var PAN_THRESHOLD = 10;
+
+/**
+ * @returns {boolean} Whether this device has a touchscreen
+ */
+export function hasTouchScreen() {
+    return navigator.maxTouchPoints > 0 || 'ontouchstart' in window;
+}
+
+/**
+ * Distance between and midpoint of the first two touches of an event.
+ *
+ * @param {TouchEvent} e
+ * @returns {{distance: number, x: number, y: number}}
+ */
+function measureTouches(e) {
+    var a = e.touches[0];
+    var b = e.touches[1];
+    return {
+        distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+        x: (a.clientX + b.clientX) / 2,
+        y: (a.clientY + b.clientY) / 2
+    };
+}
+
+/**
+ * Routes touch events on a display element to a Guacamole.Client.
+ *
+ * @constructor
+ * @param {!Guacamole.Client} client
+ *     The client to send mouse and touch events to.
+ * @param {!Element} element
+ *     The display element receiving touch events.
+ * @param {string} [mode='touchscreen']
+ *     The initial touch mode.
+ */
+export function TouchInput(client, element, mode) {
+
+    var input = this;
+
+    /**
+     * The active touch mode, one of the TOUCH_MODES IDs.
+     * @type {string}
+     */
+    this.mode = mode || 'touchscreen';
+
+    /**
+     * Whether to keep touches from reaching the remote desktop. Pinching
+     * and two-finger panning still work.
+     * @type {boolean}
+     */
+    this.readOnly = false;
+
+    /**
+     * Fired while pinching, with the relative change in zoom since the
+     * previous call and the client coordinates of the pinch center.
+     * @type {function(number, number, number)}
+     */
+    this.onzoom = null;
+
+    /**
+     * Fired while dragging with two fingers, with the movement in pixels
+     * since the previous call.
+     * @type {function(number, number)}
+     */
+    this.onpan = null;
+
+    // Two-finger gesture state: the last measurement, and whether the
+    // movement has passed the thresholds
+    var pinch = null;
+    var gestureActive = false;
+
+    function sendMouseState(e) {
+        if (!gestureActive && !input.readOnly)
+            client.sendMouseState(e.state, true);
+    }
+
+    var touchscreen = new Guacamole.Mouse.Touchscreen(element);
+    touchscreen.onEach(['mousedown', 'mousemove', 'mouseup'], function(e) {
+        if (input.mode === 'touchscreen')
+            sendMouseState(e);
+    });
+
+    var touchpad = new Guacamole.Mouse.Touchpad(element);
+    touchpad.onEach(['mousedown', 'mousemove', 'mouseup'], function(e) {
+        if (input.mode === 'touchpad')
+            sendMouseState(e);
+    });
+
+    var touch = new Guacamole.Touch(element);
+    touch.onEach(['touchstart', 'touchmove', 'touchend'], function(e) {
+        if (input.mode === 'multitouch' && !input.readOnly)
+            client.sendTouchState(e.state, true);
+    });
+
+    element.addEventListener('touchstart', function(e) {
+        if (input.mode !== 'multitouch' && e.touches.length === 2)
+            pinch = measureTouches(e);
+    });
+
+    element.addEventListener('touchmove', function(e) {
+        if (!pinch || e.touches.length !== 2)
+            return;
+
+        e.preventDefault();
+        var current = measureTouches(e);
+        var ratio = current.distance / pinch.distance;
+        var dx = current.x - pinch.x;
+        var dy = current.y - pinch.y;
+
+        if (!gestureActive) {
+            if (Math.abs(ratio - 1) < PINCH_THRESHOLD && Math.hypot(dx, dy) < PAN_THRESHOLD)
+                return;
+            gestureActive = true;
+        }
+
+        if (input.onzoom && ratio !== 1)
+            input.onzoom(ratio, current.x, current.y);
+        if (input.onpan && (dx || dy))
+            input.onpan(dx, dy);
+
+        pinch = current;
+    });
+
+    element.addEventListener('touchend', function(e) {
+        if (e.touches.length < 2)
+            pinch = null;
+        if (e.touches.length === 0)
+            gestureActive = false;
+    });
+
+}
@@ -0,0 +1,430 @@
+import { IniDocument } from './ini.js';
+import { isValidHost } from './profiles.js';
+
+/**
+ * Structured access to the xrdp and guacd configuration files.
+ *
+ * CONFIG_FIELDS describes the settings the Configure dialog edits: which
+ * file, section and key each lives in, its type and the daemon's default.
+ * The files are handled as IniDocuments, so only the lines of changed
+ * settings are rewritten and everything else in them is left alone.
+ */
+
+export var XRDP_INI = '/etc/xrdp/xrdp.ini';
+export var SESMAN_INI = '/etc/xrdp/sesman.ini';
+
+/**
+ * guacd runs with built-in defaults when this file does not exist, so it
+ * is created on the first change.
+ */
+export var GUACD_CONF = '/etc/guacamole/guacd.conf';
+
+/**
+ * systemd units reading each configuration file. Restarting xrdp-sesman
+ * also restarts xrdp, which depends on it, but listing both keeps the
+ * restart explicit on systems where the units are not linked.
+ */
+export var CONFIG_FILE_UNITS = {
+    xrdp: ['xrdp'],
+    sesman: ['xrdp-sesman', 'xrdp'],
+    guacd: ['guacd']
+};
+
+/**
+ * Groups of fields, in the order the dialog shows them.
+ */
+export var CONFIG_GROUPS = [
+    {
+        id: 'security',
+        title: 'Security and Encryption',
+        file: 'xrdp',
+        description: 'How RDP connections to xrdp are secured. Leave the certificate and key empty to use xrdp\'s own.'
+    },
+    {
+        id: 'connection',
+        title: 'Connection',
+        file: 'xrdp',
+        description: 'Limits and transport options for RDP connections.'
+    },
+    {
+        id: 'sessions',
+        title: 'Session Policies',
+        file: 'sesman',
+        description: 'When sessions are reused, and when idle or disconnected sessions are ended. Time limits are in seconds; 0 means no limit.'
+    },
+    {
+        id: 'users',
+        title: 'Allowed Users',
+        file: 'sesman',
+        description: 'Who may log in. With group checking enabled, only members of the users group (or the admins group) can start sessions.'
+    },
+    {
+        id: 'guacd',
+        title: 'guacd Server',
+        file: 'guacd',
+        description: 'Where guacd listens, how much it logs, and the certificate and key it uses to accept TLS connections. Leave both empty to accept plain connections only.'
+    }
+];
+
+/**
+ * Settings edited by the Configure dialog.
+ *
+ * type is one of "choice" (options lists the allowed values), "bool",
+ * "number" (a whole number between min and max), "path" (an absolute
+ * path, or empty to leave the key out), "group" (a group name) and
+ * "host" (a host name or address). default is the value the daemon uses
+ * when the key is missing.
+ */
+export var CONFIG_FIELDS = [
+    {
+        id: 'securityLayer', group: 'security', file: 'xrdp', section: 'Globals', key: 'security_layer',
+        label: 'Security layer', type: 'choice', default: 'negotiate',
+        options: [
+            { value: 'negotiate', label: 'Negotiate' },
+            { value: 'tls', label: 'TLS' },
+            { value: 'rdp', label: 'Standard RDP security' }
+        ]
+    },
+    {
+        id: 'cryptLevel', group: 'security', file: 'xrdp', section: 'Globals', key: 'crypt_level',
+        label: 'Encryption level', type: 'choice', default: 'high',
+        options: [
+            { value: 'none', label: 'None' },
+            { value: 'low', label: 'Low' },
+            { value: 'medium', label: 'Medium' },
+            { value: 'high', label: 'High' },
+            { value: 'fips', label: 'FIPS 140-1' }
+        ]
+    },
+    {
+        id: 'certificate', group: 'security', file: 'xrdp', section: 'Globals', key: 'certificate',
+        label: 'TLS certificate', type: 'path', default: '', placeholder: '/etc/xrdp/cert.pem'
+    },
+    {
+        id: 'keyFile', group: 'security', file: 'xrdp', section: 'Globals', key: 'key_file',
+        label: 'TLS private key', type: 'path', default: '', placeholder: '/etc/xrdp/key.pem'
+    },
+    {
+        id: 'maxBpp', group: 'connection', file: 'xrdp', section: 'Globals', key: 'max_bpp',
+        label: 'Maximum color depth', type: 'choice', default: '32',
+        options: [
+            { value: '8', label: '8-bit' },
+            { value: '15', label: '15-bit' },
+            { value: '16', label: '16-bit' },
+            { value: '24', label: '24-bit' },
+            { value: '32', label: '32-bit' }
+        ]
+    },
+    {
+        id: 'tcpKeepalive', group: 'connection', file: 'xrdp', section: 'Globals', key: 'tcp_keepalive',
+        label: 'Send TCP keepalives', type: 'bool', default: false
+    },
+    {
+        id: 'policy', group: 'sessions', file: 'sesman', section: 'Sessions', key: 'Policy',
+        label: 'Session reuse policy', type: 'choice', default: 'Default',
+        options: [
+            { value: 'Default', label: 'Default (same user and color depth)' },
+            { value: 'UBD', label: 'Same user, color depth and display size' },
+            { value: 'UBI', label: 'Same user, color depth and client address' },
+            { value: 'UBC', label: 'Same user, color depth and connection' },
+            { value: 'UBDI', label: 'Same user, color depth, display size and address' },
+            { value: 'UBDC', label: 'Same user, color depth, display size and connection' },
+            { value: 'Separate', label: 'Never reuse sessions' }
+        ]
+    },
+    {
+        id: 'maxSessions', group: 'sessions', file: 'sesman', section: 'Sessions', key: 'MaxSessions',
+        label: 'Maximum sessions', type: 'number', default: 50, min: 1, max: 1000
+    },
+    {
+        id: 'killDisconnected', group: 'sessions', file: 'sesman', section: 'Sessions', key: 'KillDisconnected',
+        label: 'End sessions as soon as they are disconnected', type: 'bool', default: false
+    },
+    {
+        id: 'disconnectedTimeLimit', group: 'sessions', file: 'sesman', section: 'Sessions', key: 'DisconnectedTimeLimit',
+        label: 'Disconnected time limit', type: 'number', default: 0, min: 0, max: 31536000
+    },
+    {
+        id: 'idleTimeLimit', group: 'sessions', file: 'sesman', section: 'Sessions', key: 'IdleTimeLimit',
+        label: 'Idle time limit', type: 'number', default: 0, min: 0, max: 31536000
+    },
+    {
+        id: 'allowRootLogin', group: 'users', file: 'sesman', section: 'Security', key: 'AllowRootLogin',
+        label: 'Allow root to log in', type: 'bool', default: true
+    },
+    {
+        id: 'alwaysGroupCheck', group: 'users', file: 'sesman', section: 'Security', key: 'AlwaysGroupCheck',
+        label: 'Only allow members of the users group', type: 'bool', default: false
+    },
+    {
+        id: 'usersGroup', group: 'users', file: 'sesman', section: 'Security', key: 'TerminalServerUsers',
+        label: 'Users group', type: 'group', default: 'tsusers'
+    },
+    {
+        id: 'adminsGroup', group: 'users', file: 'sesman', section: 'Security', key: 'TerminalServerAdmins',
+        label: 'Admins group', type: 'group', default: 'tsadmins'
+    },
+    {
+        id: 'guacdBindHost', group: 'guacd', file: 'guacd', section: 'server', key: 'bind_host',
+        label: 'Listen on host', type: 'host', default: 'localhost'
+    },
+    {
+        id: 'guacdBindPort', group: 'guacd', file: 'guacd', section: 'server', key: 'bind_port',
+        label: 'Listen on port', type: 'number', default: 4822, min: 1, max: 65535
+    },
+    {
+        id: 'guacdLogLevel', group: 'guacd', file: 'guacd', section: 'daemon', key: 'log_level',
+        label: 'Log level', type: 'choice', default: 'info',
+        options: [
+            { value: 'error', label: 'Errors' },
+            { value: 'warning', label: 'Warnings' },
+            { value: 'info', label: 'Info' },
+            { value: 'debug', label: 'Debug' },
+            { value: 'trace', label: 'Trace' }
+        ]
+    },
+    {
+        id: 'guacdCertificate', group: 'guacd', file: 'guacd', section: 'ssl', key: 'server_certificate',
+        label: 'TLS certificate', type: 'path', default: '', placeholder: '/etc/guacamole/guacd.crt'
+    },
+    {
+        id: 'guacdKey', group: 'guacd', file: 'guacd', section: 'ssl', key: 'server_key',
+        label: 'TLS private key', type: 'path', default: '', placeholder: '/etc/guacamole/guacd.key'
+    }
+];
+
+// Paths that are only loaded together: a certificate and its key
+var PATH_PAIRS = [
+    ['certificate', 'keyFile'],
+    ['guacdCertificate', 'guacdKey']
+];
+
+var DEFAULT_XRDP_PORT = 3389;
+
+/**
+ * Convert a value from an INI file to the type of a field. Missing keys
+ * yield the field's default; choices are matched case-insensitively, as
+ * xrdp does, and unknown ones are kept verbatim.
+ *
+ * @param {object} field
+ * @param {?string} text
+ * @returns {*}
+ */
+function parseValue(field, text) {
+    if (text === null)
+        return field.default;
+
+    switch (field.type) {
+    case 'bool':
+        return /^(true|yes|on|1)$/i.test(text);
+    case 'number':
+        var number = parseInt(text, 10);
+        return isNaN(number) ? field.default : number;
+    case 'choice':
+        var match = field.options.filter(function(option) {
+            return option.value.toLowerCase() === text.toLowerCase();
+        })[0];
+        return match ? match.value : text;
+    default:
+        return text;
+    }
+}
+
+/**
+ * Convert a field value to its INI representation.
+ *
+ * @param {object} field
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(field, value) {
+    if (field.type === 'bool')
+        return value ? 'true' : 'false';
+    return String(value);
+}
+
+/**
+ * Read every field from the configuration files.
+ *
+ * @param {object} docs - IniDocuments keyed by file ("xrdp", "sesman");
+ *     a missing document yields default values for its fields
+ * @returns {object} Values keyed by field ID
+ */
+export function readConfigValues(docs) {
+    var values = {};
+    CONFIG_FIELDS.forEach(function(field) {
+        var doc = docs[field.file];
+        values[field.id] = parseValue(field, doc ? doc.get(field.section, field.key) : null);
+    });
+    return values;
+}
+
+/**
+ * Check edited values. Fields that still hold their original value are
+ * not checked, so an odd existing setting never blocks other changes.
+ *
+ * @param {object} values - Edited values keyed by field ID
+ * @param {object} original - Values as read from the files
+ * @returns {object[]} Problems of the form { id, message }; empty if all
+ *     changed values are valid
+ */
+export function validateConfigValues(values, original) {
+    var problems = [];
+
+    CONFIG_FIELDS.forEach(function(field) {
+        var value = values[field.id];
+        if (value === original[field.id])
+            return;
+
+        var message = null;
+        switch (field.type) {
+        case 'choice':
+            var known = field.options.some(function(option) {
+                return option.value === value;
+            });
+            if (!known)
+                message = 'Choose one of the listed values.';
+            break;
+        case 'number':
+            if (typeof value !== 'number' || isNaN(value) || Math.floor(value) !== value)
+                message = 'Enter a whole number.';
+            else if (value < field.min || value > field.max)
+                message = 'Enter a number from ' + field.min + ' to ' + field.max + '.';
+            break;
+        case 'path':
+            if (value && (value[0] !== '/' || /[\s=]/.test(value)))
+                message = 'Enter an absolute path without spaces, or leave empty.';
+            break;
+        case 'group':
+            if (!/^[a-z_][a-z0-9_.-]*$/i.test(value))
+                message = 'Enter a valid group name.';
+            break;
+        case 'host':
+            if (!isValidHost(value))
+                message = 'Enter a host name or IP address.';
+            break;
+        }
+
+        if (message)
+            problems.push({ id: field.id, message: message });
+    });
+
+    PATH_PAIRS.forEach(function(pair) {
+        var first = pair[0];
+        var second = pair[1];
+        if ((values[first] !== original[first] || values[second] !== original[second]) &&
+            !values[first] !== !values[second]) {
+            problems.push({
+                id: values[first] ? second : first,
+                message: 'Set both the certificate and the private key, or neither.'
+            });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Write the changed values into the configuration documents. Keys whose
+ * value did not change are left exactly as they are, including keys
+ * missing from the file; an emptied path removes its key.
+ *
+ * @param {object} docs - IniDocuments keyed by file
+ * @param {object} values - Edited values keyed by field ID
+ * @param {object} original - Values as read from the files
+ */
+export function applyConfigValues(docs, values, original) {
+    CONFIG_FIELDS.forEach(function(field) {
+        var doc = docs[field.file];
+        if (!doc || values[field.id] === original[field.id])
+            return;
+
+        if (field.type === 'path' && !values[field.id])
+            doc.remove(field.section, field.key);
+        else
+            doc.set(field.section, field.key, formatValue(field, values[field.id]));
+    });
+}
+
+/**
+ * @param {IniDocument} doc - xrdp.ini
+ * @returns {number} The port xrdp listens on
+ */
+export function getXrdpPort(doc) {
+    var port = parseInt(doc.get('Globals', 'port'), 10);
+    return (port > 0 && port <= 65535) ? port : DEFAULT_XRDP_PORT;
+}
+
+/**
+ * @param {IniDocument} doc - xrdp.ini
+ * @param {number} port
+ */
+export function setXrdpPort(doc, port) {
+    doc.set('Globals', 'port', String(port));
+}
+
+/**
+ * Find the Xvnc MaxDisconnectionTime option among the "param" lines of
+ * sesman.ini's [Xvnc] section, where it takes two lines: the option name
+ * and its value.
+ *
+ * @param {string[]} params
+ * @returns {number} Index of the option name, or -1
+ */
+function findMaxDisconnectionTime(params) {
+    for (var i = 0; i < params.length; i++) {
+        if (params[i] === '-MaxDisconnectionTime' || params[i] === '--MaxDisconnectionTime')
+            return i;
+    }
+    return -1;
+}
+
+/**
+ * @param {IniDocument} doc - sesman.ini
+ * @returns {number} Xvnc's MaxDisconnectionTime in seconds, or 0 if unset
+ */
+export function getMaxDisconnectionTime(doc) {
+    var params = doc.getAll('Xvnc', 'param');
+    var index = findMaxDisconnectionTime(params);
+    if (index === -1)
+        return 0;
+    var seconds = parseInt(params[index + 1], 10);
+    return isNaN(seconds) ? 0 : seconds;
+}
+
+/**
+ * Set Xvnc's MaxDisconnectionTime, adding the option after the existing
+ * Xvnc parameters if needed. 0 removes it.
+ *
+ * @param {IniDocument} doc - sesman.ini
+ * @param {number} seconds
+ */
+export function setMaxDisconnectionTime(doc, seconds) {
+    if (!doc.hasSection('Xvnc'))
+        return;
+
+    var params = doc.getAll('Xvnc', 'param');
+    var index = findMaxDisconnectionTime(params);
+
+    if (index !== -1) {
+        var hasValue = /^\d+$/.test(params[index + 1] || '');
+        params.splice(index, hasValue ? 2 : 1);
+    } else {
+        index = params.length;
+    }
+
+    if (seconds > 0)
+        params.splice(index, 0, '-MaxDisconnectionTime', String(seconds));
+
+    doc.setAll('Xvnc', 'param', params);
+}
+
+/**
+ * Parse configuration file contents.
+ *
+ * @param {?string} text - File contents, or null if unreadable
+ * @returns {?IniDocument}
+ */
+export function parseConfigFile(text) {
+    return text === null ? null : new IniDocument(text);
+}